@@ -2,15 +2,46 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
 import { useAccount, useChainId, useWalletClient } from "wagmi";
 import {
+  concatHex,
   createPublicClient,
+  createTestClient,
   createWalletClient,
   custom,
+  decodeErrorResult,
+  decodeEventLog,
   decodeFunctionResult,
+  encodeAbiParameters,
   encodeFunctionData,
+  encodePacked,
+  formatEther,
+  formatGwei,
+  formatUnits,
+  getAddress,
+  hashTypedData,
+  hexToString,
   http,
   isAddress,
+  isHex,
+  keccak256,
+  maxUint256,
+  numberToHex,
+  pad,
+  parseAbi,
   parseEther,
+  parseGwei,
+  parseTransaction,
+  parseUnits,
+  publicActions,
+  serializeTransaction,
+  size,
+  stringToHex,
+  toBytes,
+  toFunctionSelector,
+  webSocket,
+  zeroAddress,
+  zeroHash,
 } from "viem";
+import { mnemonicToAccount, privateKeyToAccount } from "viem/accounts";
 
 const DEFAULTS = {
   rpcList: "https://api.explorer.wardenprotocol.org/api/eth-rpc",
@@ -24,8 +55,469 @@ const DEFAULTS = {
 
 const TEMPLATE_STORAGE_KEY = "common-evm-dashboard.templates.v1";
 const TEMPLATE_EXPORT_VERSION = 1;
+const TX_HISTORY_STORAGE_KEY = "common-evm-dashboard.tx-history.v1";
+const MAX_TX_HISTORY_SIZE = 500;
+const IPFS_GATEWAY_STORAGE_KEY = "common-evm-dashboard.ipfs-gateway.v1";
+const DEFAULT_IPFS_GATEWAY = "https://ipfs.io/ipfs/";
+const MAX_NFT_VIEW_COUNT = 50;
+const MAX_STORAGE_RAW_SLOTS = 64;
+const APPROVAL_READ_CONCURRENCY = 4;
+const MAX_STORAGE_BYTES_SLOTS = 32;
+const MAX_STORAGE_ARRAY_PREVIEW = 32;
+const TX_STATUS_LABELS = {
+  pending: "待确认",
+  success: "成功",
+  reverted: "失败",
+  cancelled: "已取消",
+  unknown: "未知",
+};
 const EXPONENT_OPTIONS = [0, 6, 9, 12, 18, 24];
 const SCALE_TYPES = new Set(["uint256", "uint128"]);
+const EIP1967_IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const EIP1967_BEACON_SLOT =
+  "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+const EIP1167_BYTECODE_PATTERN =
+  /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+const BEACON_ABI = [
+  {
+    type: "function",
+    name: "implementation",
+    inputs: [],
+    outputs: [{ name: "", type: "address" }],
+    stateMutability: "view",
+  },
+];
+const DIAMOND_LOUPE_ABI = [
+  {
+    type: "function",
+    name: "facets",
+    inputs: [],
+    outputs: [
+      {
+        name: "facets_",
+        type: "tuple[]",
+        components: [
+          { name: "facetAddress", type: "address" },
+          { name: "functionSelectors", type: "bytes4[]" },
+        ],
+      },
+    ],
+    stateMutability: "view",
+  },
+  {
+    type: "function",
+    name: "facetAddresses",
+    inputs: [],
+    outputs: [{ name: "facetAddresses_", type: "address[]" }],
+    stateMutability: "view",
+  },
+];
+const STANDARD_ERROR_ABI = [
+  {
+    type: "error",
+    name: "Error",
+    inputs: [{ name: "message", type: "string" }],
+  },
+  {
+    type: "error",
+    name: "Panic",
+    inputs: [{ name: "code", type: "uint256" }],
+  },
+];
+const PANIC_REASONS = {
+  0: "编译器插入的通用 panic。",
+  1: "assert 断言失败。",
+  17: "算术运算上溢或下溢（不在 unchecked 块中）。",
+  18: "除以零或对零取模。",
+  33: "将过大或为负的值转换为枚举类型。",
+  34: "访问了编码不正确的存储字节数组。",
+  49: "对空数组调用了 pop()。",
+  50: "数组、bytesN 或切片越界访问。",
+  65: "分配内存过多或创建的数组过大。",
+  81: "调用了未初始化的内部函数类型变量。",
+};
+const STANDARD_EVENT_ABIS = [
+  parseAbi([
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  ]),
+  parseAbi([
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+  ]),
+  parseAbi([
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+  ]),
+];
+
+const MULTI_SEND_CALL_ONLY_DEPLOYMENTS = [
+  { id: "1.3.0", label: "v1.3.0", address: "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D" },
+  {
+    id: "1.3.0-eip155",
+    label: "v1.3.0（eip155 部署）",
+    address: "0xA1dabEF33b3B82c7814B6D82A79e50F4AC44102B",
+  },
+  { id: "1.4.1", label: "v1.4.1", address: "0x9641d764fc13c8B624c04430C7356C1C7C8102e2" },
+];
+const MULTI_SEND_ABI = parseAbi(["function multiSend(bytes transactions) payable"]);
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+const PRODUCTION_LIST_STORAGE_KEY = "common-evm-dashboard.production-chains.v1";
+const DEFAULT_PRODUCTION_CHAIN_IDS = [
+  1, 10, 25, 56, 100, 137, 250, 324, 1101, 5000, 8453, 8765, 42161, 42220, 43114, 59144, 81457,
+  534352,
+];
+const DEV_NODE_MODES = ["anvil", "hardhat", "ganache"];
+const IMPERSONATION_NODE_MODES = ["anvil", "hardhat"];
+const DEV_SIGNER_MODE_LABELS = {
+  privateKey: "私钥",
+  mnemonic: "助记词",
+};
+const BATCH_STATUS_TIMEOUT = 300_000;
+const ATOMIC_BATCH_STATUSES = ["supported", "ready"];
+const BATCH_UNSUPPORTED_ERROR_CODES = [4200, -32601];
+const BATCH_STEP_LABELS = {
+  waiting: "等待中",
+  sending: "等待钱包确认",
+  sent: "已发送",
+  success: "成功",
+  reverted: "已回滚",
+  failed: "失败",
+  skipped: "已跳过",
+};
+const BATCH_STEP_BADGES = {
+  sending: "pending",
+  sent: "pending",
+  success: "success",
+  reverted: "reverted",
+  failed: "reverted",
+  skipped: "cancelled",
+};
+const ERC165_ABI = parseAbi(["function supportsInterface(bytes4 interfaceId) view returns (bool)"]);
+const DIAMOND_LOUPE_INTERFACE_ID = "0x48e2b093";
+const ERC165_INTERFACES = [
+  { id: "erc721", interfaceId: "0x80ac58cd" },
+  { id: "erc721Metadata", interfaceId: "0x5b5e139f" },
+  { id: "erc721Enumerable", interfaceId: "0x780e9d63" },
+  { id: "erc1155", interfaceId: "0xd9b67a26" },
+  { id: "erc1155MetadataURI", interfaceId: "0x0e89341c" },
+  { id: "accessControl", interfaceId: "0x7965db0b" },
+  { id: "erc2981", interfaceId: "0x2a55205a" },
+];
+const STANDARD_ABI_SHAPES = {
+  erc20: [
+    "totalSupply()",
+    "balanceOf(address)",
+    "transfer(address,uint256)",
+    "allowance(address,address)",
+    "approve(address,uint256)",
+    "transferFrom(address,address,uint256)",
+  ],
+  erc721: [
+    "balanceOf(address)",
+    "ownerOf(uint256)",
+    "getApproved(uint256)",
+    "setApprovalForAll(address,bool)",
+    "isApprovedForAll(address,address)",
+    "transferFrom(address,address,uint256)",
+  ],
+  erc1155: [
+    "balanceOf(address,uint256)",
+    "balanceOfBatch(address[],uint256[])",
+    "setApprovalForAll(address,bool)",
+    "isApprovedForAll(address,address)",
+    "safeTransferFrom(address,address,uint256,uint256,bytes)",
+  ],
+  erc4626: [
+    "asset()",
+    "totalAssets()",
+    "convertToShares(uint256)",
+    "convertToAssets(uint256)",
+    "deposit(uint256,address)",
+    "redeem(uint256,address,address)",
+  ],
+  ownable: ["owner()"],
+  accessControl: [
+    "hasRole(bytes32,address)",
+    "getRoleAdmin(bytes32)",
+    "grantRole(bytes32,address)",
+    "revokeRole(bytes32,address)",
+  ],
+};
+const STANDARD_LABELS = {
+  erc165: "ERC-165",
+  erc20: "ERC-20",
+  erc721: "ERC-721",
+  erc721Metadata: "ERC-721 Metadata",
+  erc721Enumerable: "ERC-721 Enumerable",
+  erc1155: "ERC-1155",
+  erc1155MetadataURI: "ERC-1155 Metadata URI",
+  erc4626: "ERC-4626",
+  erc2981: "ERC-2981",
+  ownable: "Ownable",
+  accessControl: "AccessControl",
+};
+const TOKEN_SUMMARY_ABI = parseAbi([
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function paused() view returns (bool)",
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+]);
+const NFT_METADATA_ABI = parseAbi([
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function uri(uint256 id) view returns (string)",
+]);
+const ERC20_APPROVAL_ABI = parseAbi([
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]);
+const NFT_APPROVAL_ABI = parseAbi([
+  "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+  "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function approve(address to, uint256 tokenId)",
+]);
+const ACCESS_CONTROL_ABI = parseAbi([
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+]);
+const APPROVAL_KIND_LABELS = {
+  erc20: "ERC-20 额度授权",
+  erc721: "ERC-721 授权",
+  erc1155: "ERC-1155 授权",
+};
+const EVM_OPCODE_NAMES = {
+  0x00: "STOP",
+  0x01: "ADD",
+  0x02: "MUL",
+  0x03: "SUB",
+  0x04: "DIV",
+  0x05: "SDIV",
+  0x06: "MOD",
+  0x07: "SMOD",
+  0x08: "ADDMOD",
+  0x09: "MULMOD",
+  0x0a: "EXP",
+  0x0b: "SIGNEXTEND",
+  0x10: "LT",
+  0x11: "GT",
+  0x12: "SLT",
+  0x13: "SGT",
+  0x14: "EQ",
+  0x15: "ISZERO",
+  0x16: "AND",
+  0x17: "OR",
+  0x18: "XOR",
+  0x19: "NOT",
+  0x1a: "BYTE",
+  0x1b: "SHL",
+  0x1c: "SHR",
+  0x1d: "SAR",
+  0x20: "KECCAK256",
+  0x30: "ADDRESS",
+  0x31: "BALANCE",
+  0x32: "ORIGIN",
+  0x33: "CALLER",
+  0x34: "CALLVALUE",
+  0x35: "CALLDATALOAD",
+  0x36: "CALLDATASIZE",
+  0x37: "CALLDATACOPY",
+  0x38: "CODESIZE",
+  0x39: "CODECOPY",
+  0x3a: "GASPRICE",
+  0x3b: "EXTCODESIZE",
+  0x3c: "EXTCODECOPY",
+  0x3d: "RETURNDATASIZE",
+  0x3e: "RETURNDATACOPY",
+  0x3f: "EXTCODEHASH",
+  0x40: "BLOCKHASH",
+  0x41: "COINBASE",
+  0x42: "TIMESTAMP",
+  0x43: "NUMBER",
+  0x44: "PREVRANDAO",
+  0x45: "GASLIMIT",
+  0x46: "CHAINID",
+  0x47: "SELFBALANCE",
+  0x48: "BASEFEE",
+  0x49: "BLOBHASH",
+  0x4a: "BLOBBASEFEE",
+  0x50: "POP",
+  0x51: "MLOAD",
+  0x52: "MSTORE",
+  0x53: "MSTORE8",
+  0x54: "SLOAD",
+  0x55: "SSTORE",
+  0x56: "JUMP",
+  0x57: "JUMPI",
+  0x58: "PC",
+  0x59: "MSIZE",
+  0x5a: "GAS",
+  0x5b: "JUMPDEST",
+  0x5c: "TLOAD",
+  0x5d: "TSTORE",
+  0x5e: "MCOPY",
+  0x5f: "PUSH0",
+  0xf0: "CREATE",
+  0xf1: "CALL",
+  0xf2: "CALLCODE",
+  0xf3: "RETURN",
+  0xf4: "DELEGATECALL",
+  0xf5: "CREATE2",
+  0xfa: "STATICCALL",
+  0xfd: "REVERT",
+  0xfe: "INVALID",
+  0xff: "SELFDESTRUCT",
+};
+const BUNDLED_FUNCTION_SIGNATURES = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "function increaseAllowance(address spender, uint256 addedValue) returns (bool)",
+  "function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)",
+  "function mint(address to, uint256 amount)",
+  "function burn(uint256 amount)",
+  "function burnFrom(address account, uint256 amount)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function deposit() payable",
+  "function withdraw(uint256 amount)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function tokenByIndex(uint256 index) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+  "function contractURI() view returns (string)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+  "function uri(uint256 id) view returns (string)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function renounceOwnership()",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address account)",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function initialize()",
+  "function version() view returns (string)",
+  "function implementation() view returns (address)",
+  "function admin() view returns (address)",
+  "function changeAdmin(address newAdmin)",
+  "function upgradeTo(address newImplementation)",
+  "function upgradeToAndCall(address newImplementation, bytes data) payable",
+  "function proxiableUUID() view returns (bytes32)",
+  "function multicall(bytes[] data) returns (bytes[] results)",
+  "function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)",
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+  "function nonce() view returns (uint256)",
+  "function VERSION() view returns (string)",
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToShares(uint256 assets) view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function maxDeposit(address receiver) view returns (uint256)",
+  "function previewDeposit(uint256 assets) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256)",
+  "function mint(uint256 shares, address receiver) returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "function factory() view returns (address)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)",
+  "function sync()",
+  "function skim(address to)",
+];
+
+const DEFAULT_LOG_LOOKBACK = 5000n;
+const LOG_CHUNK_SIZE = 10000n;
+const LOG_RANGE_ERROR_PATTERN =
+  /(block range|blocks? (range )?(is )?too (large|wide)|range (is )?too (large|wide|big)|limited to (a )?[\d,]+ (block )?range|more than [\d,]+ (results|logs)|response size (exceeded|is larger)|too many (results|logs|blocks))/i;
+const WATCH_POLLING_INTERVAL = 4000;
+const MAX_WATCH_FEED_SIZE = 200;
+const CONTENT_TABS = [
+  { id: "read", label: "Read Contract", title: "Read 方法" },
+  { id: "write", label: "Write Contract", title: "Write 方法" },
+  { id: "events", label: "Events", title: "事件" },
+  { id: "history", label: "History", title: "交易记录" },
+  { id: "safe", label: "Safe Queue", title: "Safe 交易队列" },
+  { id: "batch", label: "Batch", title: "批量交易队列" },
+  { id: "broadcast", label: "Raw Tx", title: "广播已签名交易" },
+  { id: "storage", label: "Storage", title: "存储槽" },
+  { id: "code", label: "Code", title: "合约字节码" },
+  { id: "nft", label: "NFT", title: "NFT 元数据", nftOnly: true },
+  { id: "approvals", label: "Approvals", title: "授权管理", approvalOnly: true },
+  { id: "roles", label: "Roles", title: "角色权限", rolesOnly: true },
+  { id: "devchain", label: "Dev Chain", title: "开发链控制", devOnly: true },
+];
+const PROXY_KIND_LABELS = {
+  eip1967: "EIP-1967 代理",
+  beacon: "Beacon 代理",
+  eip1167: "EIP-1167 最小代理",
+};
+const METHOD_SOURCE_LABELS = {
+  proxy: "代理",
+  implementation: "实现",
+  shared: "代理 + 实现",
+  guessed: "推测",
+};
 
 function shortAddress(address) {
   if (!address) return "";
@@ -39,6 +531,14 @@ function parseRpcList(text) {
     .filter(Boolean);
 }
 
+function isWebSocketRpc(url) {
+  return /^wss?:\/\//i.test(String(url || "").trim());
+}
+
+function createRpcTransport(url) {
+  return isWebSocketRpc(url) ? webSocket(url) : http(url);
+}
+
 function parseChainIdValue(raw) {
   const value = String(raw ?? "").trim();
   if (!value) return null;
@@ -106,11 +606,310 @@ function parseDecimalWithExponent(value, exponent) {
   return BigInt(`${whole}${fraction}`);
 }
 
+function parsePayableValue(valueEth) {
+  const trimmed = String(valueEth ?? "").trim();
+  return trimmed ? parseEther(trimmed) : undefined;
+}
+
+const REPLACEMENT_FEE_BUMP_PERCENT = 125n;
+const REPLACEMENT_REASON_LABELS = {
+  replaced: "已被其他交易替换",
+  repriced: "已加速",
+  cancelled: "已取消",
+};
+const EMPTY_TX_OVERRIDES = {
+  gas: "",
+  feeMode: "auto",
+  gasPrice: "",
+  maxFeePerGas: "",
+  maxPriorityFeePerGas: "",
+  nonce: "",
+};
+
+function parseGweiField(raw, label) {
+  const trimmed = String(raw ?? "").trim();
+  if (!trimmed) return undefined;
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+    throw new Error(`${label} 格式不正确，请输入以 gwei 为单位的数字。`);
+  }
+  return parseGwei(trimmed);
+}
+
+function parseIntegerField(raw, label) {
+  const trimmed = String(raw ?? "").trim();
+  if (!trimmed) return undefined;
+  if (!/^\d+$/.test(trimmed)) {
+    throw new Error(`${label} 格式不正确，请输入整数。`);
+  }
+  return BigInt(trimmed);
+}
+
+function parseTxOverrides(draft) {
+  const overrides = {};
+  const gas = parseIntegerField(draft.gas, "Gas Limit");
+  if (gas !== undefined) overrides.gas = gas;
+
+  if (draft.feeMode === "legacy") {
+    const gasPrice = parseGweiField(draft.gasPrice, "Gas Price");
+    if (gasPrice !== undefined) overrides.gasPrice = gasPrice;
+  }
+  if (draft.feeMode === "eip1559") {
+    const maxFeePerGas = parseGweiField(draft.maxFeePerGas, "Max Fee");
+    const maxPriorityFeePerGas = parseGweiField(draft.maxPriorityFeePerGas, "Max Priority Fee");
+    if (maxFeePerGas !== undefined) overrides.maxFeePerGas = maxFeePerGas;
+    if (maxPriorityFeePerGas !== undefined) overrides.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    if (
+      maxFeePerGas !== undefined &&
+      maxPriorityFeePerGas !== undefined &&
+      maxPriorityFeePerGas > maxFeePerGas
+    ) {
+      throw new Error("Max Priority Fee 不能大于 Max Fee。");
+    }
+  }
+
+  const nonce = parseIntegerField(draft.nonce, "Nonce");
+  if (nonce !== undefined) overrides.nonce = Number(nonce);
+  return overrides;
+}
+
+function maxBigInt(...values) {
+  return values.reduce((max, value) => (value > max ? value : max), 0n);
+}
+
+function bumpReplacementFee(value) {
+  return (value * REPLACEMENT_FEE_BUMP_PERCENT + 99n) / 100n;
+}
+
+function describeTxOverrides(overrides) {
+  const lines = [];
+  if (overrides.gas !== undefined) lines.push(`Gas Limit ${overrides.gas}`);
+  if (overrides.gasPrice !== undefined) lines.push(`Gas Price ${formatGwei(overrides.gasPrice)} gwei`);
+  if (overrides.maxFeePerGas !== undefined) {
+    lines.push(`Max Fee ${formatGwei(overrides.maxFeePerGas)} gwei`);
+  }
+  if (overrides.maxPriorityFeePerGas !== undefined) {
+    lines.push(`Max Priority Fee ${formatGwei(overrides.maxPriorityFeePerGas)} gwei`);
+  }
+  if (overrides.nonce !== undefined) lines.push(`Nonce ${overrides.nonce}`);
+  return lines;
+}
+
+const SOLIDITY_INTERFACE_PATTERN = /\binterface\s+\w+[^{;]*\{/g;
+const SOLIDITY_CONTRACT_PATTERN = /\b(?:contract|library)\s+\w+[^{;]*\{/;
+const SOLIDITY_DECLARATION_PATTERN =
+  /(?:^|[;{}])\s*((?:function|event|error|constructor|fallback|receive)\b[^;{]*)/g;
+
+function extractInterfaceBodies(code) {
+  return Array.from(code.matchAll(SOLIDITY_INTERFACE_PATTERN), (match) => {
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let index = start;
+    while (index < code.length && depth > 0) {
+      if (code[index] === "{") depth += 1;
+      if (code[index] === "}") depth -= 1;
+      index += 1;
+    }
+    return code.slice(start, index - 1);
+  });
+}
+
+function extractSoliditySignatures(source) {
+  const code = source.replace(/\/\*[\s\S]*?\*\//g, " ").replace(/\/\/[^\n]*/g, "");
+  const aliases = new Map();
+  const structs = new Set(Array.from(code.matchAll(/\bstruct\s+(\w+)/g), ([, name]) => name));
+  for (const [, name] of code.matchAll(/\b(?:interface|contract|library)\s+(\w+)/g)) {
+    aliases.set(name, "address");
+  }
+  for (const [, name] of code.matchAll(/\benum\s+(\w+)\s*\{[^}]*\}/g)) {
+    aliases.set(name, "uint8");
+  }
+  for (const [, name, base] of code.matchAll(/\btype\s+(\w+)\s+is\s+(\w+)\s*;/g)) {
+    aliases.set(name, base);
+  }
+
+  const resolveType = (type) => {
+    if (aliases.has(type)) return aliases.get(type);
+    // Interfaces imported from other files are ABI-encoded as addresses.
+    return /^I[A-Z]/.test(type) && !structs.has(type) ? "address" : type;
+  };
+
+  const normalize = (text) =>
+    text
+      .replace(/\s+/g, " ")
+      .replace(/\baddress\s+payable\b/g, "address")
+      .replace(/\b(?:memory|calldata|storage)\b/g, "")
+      .replace(/\b\w+\.(\w+)\b/g, "$1")
+      .replace(/(^|[(,;{]\s*)([A-Za-z_$][\w$]*)/g, (_, prefix, type) => prefix + resolveType(type))
+      .replace(/\s+/g, " ")
+      .replace(/\s+([,)])/g, "$1")
+      .trim();
+
+  const signatures = [];
+  for (const [, name, body] of code.matchAll(/\bstruct\s+(\w+)\s*\{([^}]*)\}/g)) {
+    signatures.push(`struct ${name} { ${normalize(body)} }`);
+  }
+  for (const [, raw] of extractInterfaceBodies(code)
+    .join(";")
+    .matchAll(SOLIDITY_DECLARATION_PATTERN)) {
+    const declaration = normalize(raw);
+    const match = declaration.match(/^(\w+)\s*(\w*)\s*\(([^)]*)\)(.*)$/);
+    if (!match) continue;
+
+    const [, keyword, name, params, rest] = match;
+    const mutability = rest.match(/\b(view|pure|payable)\b/)?.[1];
+    if (keyword === "event" || keyword === "error") {
+      signatures.push(
+        `${keyword} ${name}(${params})${/\banonymous\b/.test(rest) ? " anonymous" : ""}`
+      );
+    } else if (keyword === "function") {
+      if (/\b(?:internal|private)\b/.test(rest)) continue;
+      const returns = rest.match(/\breturns\s*\(([^)]*)\)/)?.[1];
+      signatures.push(
+        `function ${name}(${params})${mutability ? ` ${mutability}` : ""}${
+          returns ? ` returns (${returns})` : ""
+        }`
+      );
+    } else if (keyword === "constructor") {
+      signatures.push(`constructor(${params})${mutability === "payable" ? " payable" : ""}`);
+    } else if (keyword === "fallback") {
+      signatures.push(`fallback() external${mutability === "payable" ? " payable" : ""}`);
+    } else {
+      signatures.push("receive() external payable");
+    }
+  }
+  return signatures;
+}
+
+function extractHumanReadableSignatures(text) {
+  const countOf = (value, char) => value.split(char).length - 1;
+  const signatures = [];
+  let current = "";
+  text
+    .split("\n")
+    .map((line) =>
+      line
+        .trim()
+        .replace(/^["'`]|["'`],?$/g, "")
+        .trim()
+    )
+    .filter((line) => line && !line.startsWith("//"))
+    .forEach((line) => {
+      current = current ? `${current} ${line}` : line;
+      const open = countOf(current, "(") + countOf(current, "{");
+      const close = countOf(current, ")") + countOf(current, "}");
+      if (open > close) return;
+      signatures.push(current.replace(/[;,]$/, "").trim());
+      current = "";
+    });
+  if (current) signatures.push(current);
+  return signatures;
+}
+
+function parseAbiSignatures(signatures) {
+  try {
+    return [...parseAbi(signatures)];
+  } catch (error) {
+    throw new Error(`ABI 解析失败：${error?.shortMessage || error?.message || error}`);
+  }
+}
+
+function parseAbiInput(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const parsed = JSON.parse(trimmed);
+    if (!Array.isArray(parsed)) {
+      throw new Error("ABI 格式无效，请确认是 JSON 数组、可读签名或 Solidity interface。");
+    }
+    if (!parsed.length || parsed.some((item) => typeof item !== "string")) return parsed;
+    return parseAbiSignatures(parsed);
+  }
+
+  const isInterface = new RegExp(SOLIDITY_INTERFACE_PATTERN.source).test(trimmed);
+  if (!isInterface && SOLIDITY_CONTRACT_PATTERN.test(trimmed)) {
+    throw new Error(
+      "暂不支持直接粘贴 contract / library 源码（public 状态变量的 getter 无法可靠还原），请粘贴 interface 或 ABI。"
+    );
+  }
+  const signatures = isInterface
+    ? extractSoliditySignatures(trimmed)
+    : extractHumanReadableSignatures(trimmed);
+  if (!signatures.length) {
+    throw new Error("未找到任何 function / event / error 声明。");
+  }
+  return parseAbiSignatures(signatures);
+}
+
 function getFunctionSignature(fn) {
   const types = (fn.inputs || []).map((input) => input.type).join(",");
   return `${fn.name}(${types})`;
 }
 
+const REVERT_ERROR_NAMES = ["ContractFunctionRevertedError", "ExecutionRevertedError"];
+
+function extractRevertData(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 10; depth += 1) {
+    if (typeof current.raw === "string" && /^0x[0-9a-f]{8,}$/i.test(current.raw)) {
+      return current.raw;
+    }
+    const data = current.data;
+    if (typeof data === "string" && /^0x[0-9a-f]{8,}$/i.test(data)) {
+      return data;
+    }
+    if (data && typeof data.data === "string" && /^0x[0-9a-f]{8,}$/i.test(data.data)) {
+      return data.data;
+    }
+    current = current.cause;
+  }
+
+  const match = String(error?.message || "").match(/revert(?:ed)?[^0-9a-z]*(0x[0-9a-f]{8,})/i);
+  return match ? match[1] : null;
+}
+
+function isContractRevert(error) {
+  if (extractRevertData(error)) return true;
+  let current = error;
+  for (let depth = 0; current && depth < 10; depth += 1) {
+    if (REVERT_ERROR_NAMES.includes(current.name)) return true;
+    current = current.cause;
+  }
+  return false;
+}
+
+function describeRevertData(data, errorAbi = []) {
+  let decoded;
+  try {
+    decoded = decodeErrorResult({ abi: [...STANDARD_ERROR_ABI, ...errorAbi], data });
+  } catch {
+    return `未知错误（选择器 ${data.slice(0, 10)}，ABI 中没有对应的 error 定义）。`;
+  }
+
+  const { errorName, args = [], abiItem } = decoded;
+  if (errorName === "Error") {
+    return `Error(string)：${args[0]}`;
+  }
+  if (errorName === "Panic") {
+    const code = Number(args[0]);
+    const reason = PANIC_REASONS[code] || "未知的 panic 代码。";
+    return `Panic(0x${code.toString(16).padStart(2, "0")})：${reason}`;
+  }
+
+  const formattedArgs = (abiItem?.inputs || []).map((input, index) => {
+    const label = input.name || `arg${index}`;
+    return `${label}: ${stringifyLogValue(formatValue(args[index]))}`;
+  });
+  return `${errorName}(${formattedArgs.join(", ")})`;
+}
+
+function formatCallError(error, errorAbi) {
+  const message = error?.message || error;
+  const revertData = extractRevertData(error);
+  if (!revertData) {
+    return `调用失败：${message}`;
+  }
+  return `调用失败：${describeRevertData(revertData, errorAbi)}\n\n详细信息：${message}`;
+}
+
 function isReadFunction(fn) {
   return (
     fn.stateMutability === "view" ||
@@ -146,7 +945,10 @@ function getCurrentIsoTime() {
   return new Date().toISOString();
 }
 
-function buildMethodStorageKey(kind, fn) {
+function buildMethodStorageKey(kind, fn, facet) {
+  if (facet) {
+    return `${kind}:${facet.toLowerCase()}:${getFunctionSignature(fn)}`;
+  }
   return `${kind}:${getFunctionSignature(fn)}`;
 }
 
@@ -575,6 +1377,27 @@ function extractTemplateList(raw) {
   return [];
 }
 
+function sanitizeQueuedCall(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (!isAddress(String(raw.to || "")) || !isHex(raw.data)) return null;
+
+  return {
+    id: String(raw.id || generateQueuedCallId()),
+    to: getAddress(raw.to),
+    value: /^\d+$/.test(String(raw.value ?? "")) ? String(raw.value) : "0",
+    data: raw.data,
+    signature: String(raw.signature || ""),
+    functionName: String(raw.functionName || ""),
+    args: raw.args ?? [],
+    methodKey: String(raw.methodKey || ""),
+    draft: sanitizeMethodState(raw.draft),
+  };
+}
+
+function sanitizeQueuedCalls(raw) {
+  return Array.isArray(raw) ? raw.map(sanitizeQueuedCall).filter(Boolean) : [];
+}
+
 function sanitizeTemplate(raw) {
   if (!raw || typeof raw !== "object") return null;
   const name = String(raw.name || "").trim();
@@ -588,6 +1411,7 @@ function sanitizeTemplate(raw) {
     name,
     panel,
     methodStates: sanitizeMethodStates(raw.methodStates),
+    batchQueue: sanitizeQueuedCalls(raw.batchQueue),
     createdAt: String(raw.createdAt || now),
     updatedAt: String(raw.updatedAt || now),
   };
@@ -605,696 +1429,6073 @@ function loadTemplatesFromStorage() {
   }
 }
 
-function MethodCard({
-  fn,
-  kind,
-  explorerBase,
-  onRead,
-  onWrite,
-  onPersist,
-  methodStorageKey,
-  savedCallState,
-}) {
-  const paramNodes = useMemo(() => buildParamNodes(fn.inputs || []), [fn]);
+function sanitizeTxRecord(raw) {
+  if (!raw || typeof raw !== "object" || !raw.hash) return null;
 
-  const normalizedSavedState = useMemo(
-    () => normalizeMethodDraftState(savedCallState, paramNodes),
-    [savedCallState, paramNodes]
+  return {
+    id: String(raw.id || `tx_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`),
+    templateId: String(raw.templateId || ""),
+    templateName: String(raw.templateName || ""),
+    chainId: raw.chainId === null || raw.chainId === undefined ? "" : String(raw.chainId),
+    contractAddress: String(raw.contractAddress || ""),
+    functionName: String(raw.functionName || ""),
+    signature: String(raw.signature || ""),
+    methodKey: String(raw.methodKey || ""),
+    args: raw.args ?? [],
+    draft: sanitizeMethodState(raw.draft),
+    hash: String(raw.hash),
+    batchId: String(raw.batchId || ""),
+    replacements: Array.isArray(raw.replacements) ? raw.replacements : [],
+    status: String(raw.status || "pending"),
+    gasUsed: String(raw.gasUsed || ""),
+    timestamp: String(raw.timestamp || getCurrentIsoTime()),
+  };
+}
+
+function loadTxHistoryFromStorage() {
+  try {
+    const raw = localStorage.getItem(TX_HISTORY_STORAGE_KEY);
+    if (!raw) return [];
+
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map(sanitizeTxRecord).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function escapeCsvCell(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildTxHistoryCsv(records) {
+  const header = [
+    "timestamp",
+    "template",
+    "chainId",
+    "contract",
+    "function",
+    "args",
+    "hash",
+    "status",
+    "gasUsed",
+  ];
+  const rows = records.map((record) => [
+    record.timestamp,
+    record.templateName,
+    record.chainId,
+    record.contractAddress,
+    record.signature,
+    JSON.stringify(record.args),
+    record.hash,
+    record.status,
+    record.gasUsed,
+  ]);
+  return [header, ...rows].map((row) => row.map(escapeCsvCell).join(",")).join("\n");
+}
+
+function storageSlotToAddress(slotValue) {
+  if (!slotValue || !/^0x[0-9a-f]+$/i.test(slotValue)) return null;
+  if (BigInt(slotValue) === 0n) return null;
+  return getAddress(`0x${slotValue.slice(-40)}`);
+}
+
+async function detectProxyImplementation(client, proxyAddress) {
+  const code = await client.getCode({ address: proxyAddress });
+  const cloneMatch = code?.match(EIP1167_BYTECODE_PATTERN);
+  if (cloneMatch) {
+    return { kind: "eip1167", implementation: getAddress(`0x${cloneMatch[1]}`) };
+  }
+
+  const implementation = storageSlotToAddress(
+    await client.getStorageAt({ address: proxyAddress, slot: EIP1967_IMPLEMENTATION_SLOT })
   );
+  if (implementation) {
+    return { kind: "eip1967", implementation };
+  }
 
-  const [fieldValues, setFieldValues] = useState(normalizedSavedState.values);
-  const [fieldExponents, setFieldExponents] = useState(normalizedSavedState.exponents);
-  const [tupleArrayRows, setTupleArrayRows] = useState(normalizedSavedState.tupleArrays);
-  const [payableValue, setPayableValue] = useState(normalizedSavedState.payableValue);
-  const [output, setOutput] = useState(
-    kind === "read" ? "调用结果将在此显示" : "交易状态将在此显示"
+  const beacon = storageSlotToAddress(
+    await client.getStorageAt({ address: proxyAddress, slot: EIP1967_BEACON_SLOT })
   );
-  const [txHash, setTxHash] = useState("");
-  const [loading, setLoading] = useState(false);
-  const signature = getFunctionSignature(fn);
+  if (beacon) {
+    const beaconImplementation = await client.readContract({
+      address: beacon,
+      abi: BEACON_ABI,
+      functionName: "implementation",
+    });
+    return { kind: "beacon", beacon, implementation: getAddress(beaconImplementation) };
+  }
 
-  useEffect(() => {
-    setFieldValues(normalizedSavedState.values);
-    setFieldExponents(normalizedSavedState.exponents);
-    setTupleArrayRows(normalizedSavedState.tupleArrays);
-    setPayableValue(normalizedSavedState.payableValue);
-  }, [normalizedSavedState]);
+  return null;
+}
 
-  const persistCurrentInputs = () => {
-    onPersist(methodStorageKey, {
-      values: { ...fieldValues },
-      exponents: { ...fieldExponents },
-      tupleArrays: JSON.parse(JSON.stringify(tupleArrayRows || {})),
-      payableValue,
-    });
-  };
+async function detectDiamondFacets(client, diamondAddress) {
+  const readLoupe = (functionName, abi = DIAMOND_LOUPE_ABI, args = []) =>
+    client.readContract({ address: diamondAddress, abi, functionName, args }).catch(() => null);
 
-  const handleValueChange = (key, value) => {
-    setFieldValues((prev) => ({
-      ...prev,
-      [key]: value,
-    }));
-  };
+  const supportsLoupe =
+    (await readLoupe("supportsInterface", ERC165_ABI, [DIAMOND_LOUPE_INTERFACE_ID])) === true;
 
-  const handleExponentChange = (key, value) => {
-    setFieldExponents((prev) => ({
-      ...prev,
-      [key]: value,
+  const facets = await readLoupe("facets");
+  if (Array.isArray(facets) && facets.length > 0) {
+    return facets.map((facet) => ({
+      address: getAddress(facet.facetAddress),
+      selectors: facet.functionSelectors.map((selector) => selector.toLowerCase()),
     }));
-  };
+  }
 
-  const handleTupleArrayValueChange = (tupleNode, rowIndex, fieldKey, value) => {
-    setTupleArrayRows((prev) => {
-      const tupleKey = tupleNode.key;
-      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
-      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+  if (!supportsLoupe) return null;
 
-      while (rows.length <= rowIndex) {
-        rows.push(createTupleArrayRowDraft(tupleNode));
-      }
+  const addresses = await readLoupe("facetAddresses");
+  if (Array.isArray(addresses) && addresses.length > 0) {
+    return addresses.map((item) => ({ address: getAddress(item), selectors: null }));
+  }
 
-      const targetRow = rows[rowIndex] || createTupleArrayRowDraft(tupleNode);
-      targetRow.values[fieldKey] = value;
-      rows[rowIndex] = targetRow;
+  return null;
+}
 
-      return {
-        ...prev,
-        [tupleKey]: rows,
-      };
-    });
-  };
+function groupMethodsByFacet(entries, facets) {
+  const groups = facets.map((facet, index) => ({
+    key: facet.address,
+    label: `Facet ${index + 1}`,
+    address: facet.address,
+    entries: [],
+  }));
+  const groupByAddress = new Map(groups.map((group) => [group.address, group]));
+  const ungrouped = { key: "diamond", label: "Diamond 合约", address: "", entries: [] };
+
+  entries.forEach((entry) => {
+    const group = entry.facet ? groupByAddress.get(entry.facet) : null;
+    (group || ungrouped).entries.push(entry);
+  });
 
-  const handleTupleArrayExponentChange = (tupleNode, rowIndex, fieldKey, value) => {
-    setTupleArrayRows((prev) => {
-      const tupleKey = tupleNode.key;
-      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
-      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+  return [ungrouped, ...groups].filter((group) => group.entries.length > 0);
+}
 
-      while (rows.length <= rowIndex) {
-        rows.push(createTupleArrayRowDraft(tupleNode));
-      }
+function getAbiItemKey(item) {
+  if (item.type === "function" || item.type === "event" || item.type === "error") {
+    return `${item.type}:${getFunctionSignature(item)}`;
+  }
+  return item.type;
+}
 
-      const targetRow = rows[rowIndex] || createTupleArrayRowDraft(tupleNode);
-      targetRow.exponents[fieldKey] = value;
-      rows[rowIndex] = targetRow;
+function mergeProxyAbi(proxyAbi, implementationAbi) {
+  const merged = [];
+  const indexByKey = new Map();
+  const sources = {};
 
-      return {
-        ...prev,
-        [tupleKey]: rows,
-      };
-    });
-  };
+  const append = (items, source) => {
+    items.forEach((item) => {
+      if (!item || typeof item !== "object") return;
+      const key = getAbiItemKey(item);
+      const signature = item.type === "function" ? getFunctionSignature(item) : null;
 
-  const handleAddTupleArrayRow = (tupleNode) => {
-    setTupleArrayRows((prev) => {
-      const tupleKey = tupleNode.key;
-      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
-      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
-      rows.push(createTupleArrayRowDraft(tupleNode));
-      return {
-        ...prev,
-        [tupleKey]: rows,
-      };
+      if (indexByKey.has(key)) {
+        if (signature && sources[signature] !== source) {
+          sources[signature] = "shared";
+        }
+        return;
+      }
+
+      indexByKey.set(key, merged.length);
+      merged.push(item);
+      if (signature) {
+        sources[signature] = source;
+      }
     });
   };
 
-  const handleRemoveTupleArrayRow = (tupleNode, rowIndex) => {
-    setTupleArrayRows((prev) => {
-      const tupleKey = tupleNode.key;
-      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
-      if (rowIndex < 0 || rowIndex >= previousRows.length) return prev;
+  append(proxyAbi, "proxy");
+  append(implementationAbi, "implementation");
+  return { abi: merged, sources };
+}
 
-      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
-      rows.splice(rowIndex, 1);
+function parseBlockInput(raw, fallback) {
+  const value = String(raw ?? "").trim();
+  if (!value || value === "latest") return fallback;
+  if (!/^\d+$/.test(value)) {
+    throw new Error("区块号格式不正确，请输入整数或 latest。");
+  }
+  return BigInt(value);
+}
 
-      return {
-        ...prev,
-        [tupleKey]: rows,
-      };
-    });
-  };
+async function fetchLogsInChunks(client, params, fromBlock, toBlock, onProgress) {
+  const logs = [];
+  const totalBlocks = toBlock - fromBlock + 1n;
+  let chunkSize = totalBlocks < LOG_CHUNK_SIZE ? totalBlocks : LOG_CHUNK_SIZE;
+  let cursor = fromBlock;
 
-  const renderNode = (node, depth = 0, rowContext = null) => {
-    const displayName = node.name || `arg${node.path[node.path.length - 1] || 0}`;
-
-    if (node.kind === "tuple") {
-      return (
-        <div className="tuple-group" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
-          <div className="tuple-heading">
-            {displayName} ({node.type})
-          </div>
-          <div className="tuple-children">
-            {node.children.map((child) => renderNode(child, depth + 1, rowContext))}
-          </div>
-        </div>
-      );
+  while (cursor <= toBlock) {
+    const chunkEnd = cursor + chunkSize - 1n > toBlock ? toBlock : cursor + chunkSize - 1n;
+    try {
+      const chunk = await client.getLogs({ ...params, fromBlock: cursor, toBlock: chunkEnd });
+      logs.push(...chunk);
+      cursor = chunkEnd + 1n;
+      onProgress?.({ fromBlock, toBlock, cursor: chunkEnd, count: logs.length });
+    } catch (error) {
+      const message = `${error?.details || ""} ${error?.message || error}`;
+      if (chunkSize <= 1n || !LOG_RANGE_ERROR_PATTERN.test(message)) {
+        throw error;
+      }
+      chunkSize /= 2n;
     }
+  }
 
-    if (node.kind === "tupleArray") {
-      const rows = Array.isArray(tupleArrayRows[node.key]) ? tupleArrayRows[node.key] : [];
+  return logs;
+}
 
-      return (
-        <div className="tuple-group" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
-          <div className="tuple-array-header">
-            <div className="tuple-heading">
-              {displayName} ({node.type})
-            </div>
-            <button
-              className="btn ghost tiny-btn"
-              type="button"
-              onClick={() => handleAddTupleArrayRow(node)}
-            >
-              新增一行
-            </button>
-          </div>
+function buildEventFilterArgs(event, topicValues) {
+  const indexedInputs = (event.inputs || []).filter((input) => input.indexed);
+  if (!indexedInputs.length) return undefined;
 
-          {rows.length === 0 ? (
-            <div className="tuple-array-empty">当前没有数据行，可点击“新增一行”。</div>
-          ) : (
-            <div className="tuple-array-rows">
-              {rows.map((row, rowIndex) => {
-                const safeRow = sanitizeTupleArrayRow(row);
-                const nextContext = {
-                  tupleNode: node,
-                  rowIndex,
-                  values: safeRow.values,
-                  exponents: safeRow.exponents,
-                };
+  const values = indexedInputs.map((input, index) => {
+    const raw = String(topicValues[index] ?? "").trim();
+    if (!raw) return null;
+    return parseInputValue(raw, input.type);
+  });
+  if (values.every((value) => value === null)) return undefined;
 
-                return (
-                  <div className="tuple-array-row" key={`${node.key}-${rowIndex}`}>
-                    <div className="tuple-array-row-header">
-                      <span>第 {rowIndex + 1} 行</span>
-                      <button
-                        className="btn ghost tiny-btn danger-btn"
-                        type="button"
-                        onClick={() => handleRemoveTupleArrayRow(node, rowIndex)}
-                      >
-                        删除
-                      </button>
-                    </div>
-                    <div className="tuple-children">
-                      {node.children.map((child) => renderNode(child, depth + 1, nextContext))}
-                    </div>
-                  </div>
-                );
-              })}
-            </div>
-          )}
-        </div>
-      );
-    }
+  if (indexedInputs.every((input) => input.name)) {
+    const args = {};
+    indexedInputs.forEach((input, index) => {
+      if (values[index] !== null) {
+        args[input.name] = values[index];
+      }
+    });
+    return args;
+  }
+  return values;
+}
 
-    const scopedValues = rowContext ? rowContext.values : fieldValues;
-    const scopedExponents = rowContext ? rowContext.exponents : fieldExponents;
-    const value = scopedValues[node.key] ?? "";
-    const exponent = Number(scopedExponents[node.key] || 0);
+function formatLogArgs(log) {
+  const formatted = formatValue(log.args);
+  if (Array.isArray(formatted)) {
+    return formatted.map((value, index) => [`arg${index}`, value]);
+  }
+  if (formatted && typeof formatted === "object") {
+    return Object.entries(formatted);
+  }
+  return [];
+}
 
-    const handleScopedValueChange = (nextValue) => {
-      if (rowContext) {
-        handleTupleArrayValueChange(rowContext.tupleNode, rowContext.rowIndex, node.key, nextValue);
-        return;
-      }
-      handleValueChange(node.key, nextValue);
-    };
+function stringifyLogValue(value) {
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+}
 
-    const handleScopedExponentChange = (nextValue) => {
-      if (rowContext) {
-        handleTupleArrayExponentChange(
-          rowContext.tupleNode,
-          rowContext.rowIndex,
-          node.key,
-          nextValue
-        );
-        return;
+function decodeReceiptLogs(logs, eventAbi) {
+  const candidateAbis = [eventAbi, ...STANDARD_EVENT_ABIS].filter((abi) => abi.length > 0);
+
+  return (logs || []).map((log) => {
+    for (const abi of candidateAbis) {
+      try {
+        const decoded = decodeEventLog({ abi, data: log.data, topics: log.topics, strict: true });
+        return { ...log, eventName: decoded.eventName, args: decoded.args };
+      } catch {
+        // Try the next candidate ABI.
       }
-      handleExponentChange(node.key, nextValue);
-    };
+    }
+    return { ...log, eventName: null, args: { topics: log.topics, data: log.data } };
+  });
+}
 
-    return (
-      <div className="param" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
-        <label>
-          {displayName} ({node.type})
-        </label>
-        {SCALE_TYPES.has(node.type) ? (
-          <div className="input-with-addon">
-            <input
-              type="text"
-              placeholder={
-                node.type.includes("[]") || node.type.startsWith("tuple")
-                  ? "JSON 格式"
-                  : "输入参数"
-              }
-              value={value}
-              onChange={(event) => handleScopedValueChange(event.target.value)}
-            />
-            <select
-              className="addon-select"
-              value={exponent}
-              onChange={(event) => handleScopedExponentChange(Number(event.target.value))}
-            >
-              {EXPONENT_OPTIONS.map((exp) => (
-                <option key={exp} value={exp}>
-                  10^{exp}
-                </option>
-              ))}
-            </select>
-          </div>
-        ) : (
-          <input
-            type="text"
-            placeholder={
-              node.type.includes("[]") || node.type.startsWith("tuple")
-                ? "JSON 格式"
-                : "输入参数"
-            }
-            value={value}
-            onChange={(event) => handleScopedValueChange(event.target.value)}
-          />
-        )}
-      </div>
+async function detectContractStandards(client, address, abi) {
+  const signatures = new Set(
+    abi.filter((item) => item.type === "function").map(getFunctionSignature)
+  );
+  const standards = new Map();
+  Object.entries(STANDARD_ABI_SHAPES).forEach(([id, shape]) => {
+    if (shape.every((signature) => signatures.has(signature))) {
+      standards.set(id, "abi");
+    }
+  });
+
+  const supportsInterface = (interfaceId) =>
+    client
+      .readContract({ address, abi: ERC165_ABI, functionName: "supportsInterface", args: [interfaceId] })
+      .catch(() => null);
+
+  const [erc165, invalidId] = await Promise.all([
+    supportsInterface("0x01ffc9a7"),
+    supportsInterface("0xffffffff"),
+  ]);
+  if (erc165 === true && invalidId === false) {
+    standards.set("erc165", "erc165");
+    const results = await Promise.all(
+      ERC165_INTERFACES.map((item) => supportsInterface(item.interfaceId))
     );
+    ERC165_INTERFACES.forEach((item, index) => {
+      if (results[index] === true) standards.set(item.id, "erc165");
+    });
+  }
+
+  return {
+    signatures,
+    standards: Array.from(standards, ([id, source]) => ({ id, source, label: STANDARD_LABELS[id] })),
   };
+}
 
-  const handleCall = async () => {
-    persistCurrentInputs();
-    setLoading(true);
-    setOutput(kind === "read" ? "正在调用..." : "正在发送交易...");
-    setTxHash("");
+async function buildContractSummary(client, address, abi) {
+  const { signatures, standards } = await detectContractStandards(client, address, abi);
+  const has = (id) => standards.some((item) => item.id === id);
+  const read = (functionName, args, target = address) =>
+    client
+      .readContract({ address: target, abi: TOKEN_SUMMARY_ABI, functionName, args })
+      .catch(() => undefined);
+
+  const isToken = has("erc20") || has("erc721") || has("erc1155") || has("erc4626");
+  const isFungible = has("erc20") || has("erc4626");
+  const [name, symbol, decimals, totalSupply, owner, pendingOwner, paused] = await Promise.all([
+    isToken ? read("name") : undefined,
+    isToken ? read("symbol") : undefined,
+    isFungible ? read("decimals") : undefined,
+    isFungible || has("erc721Enumerable") || signatures.has("totalSupply()")
+      ? read("totalSupply")
+      : undefined,
+    has("ownable") ? read("owner") : undefined,
+    signatures.has("pendingOwner()") ? read("pendingOwner") : undefined,
+    signatures.has("paused()") ? read("paused") : undefined,
+  ]);
 
-    try {
-      const parsedArgs = paramNodes.map((node) =>
-        buildNodeCallValue(node, fieldValues, fieldExponents, tupleArrayRows)
-      );
+  const facts = [];
+  const pushFact = (label, value, kind = "text") => {
+    if (value !== undefined && value !== null && value !== "") {
+      facts.push({ label, value: String(value), kind });
+    }
+  };
+  const formatAmount = (value, unitDecimals, unitSymbol) =>
+    unitDecimals === undefined
+      ? value.toString()
+      : `${formatUnits(value, unitDecimals)}${unitSymbol ? ` ${unitSymbol}` : ""}`;
+
+  pushFact("名称", name);
+  pushFact("符号", symbol);
+  pushFact("精度", decimals);
+  if (typeof totalSupply === "bigint") {
+    pushFact("总供应量", formatAmount(totalSupply, decimals, symbol));
+  }
 
-      if (kind === "read") {
-        const result = await onRead(fn, parsedArgs);
-        setOutput(stringifyResult(result));
-        return;
+  if (has("erc4626")) {
+    const asset = await read("asset");
+    pushFact("底层资产", asset, "address");
+    if (asset) {
+      const [assetSymbol, assetDecimals, totalAssets, sharePrice] = await Promise.all([
+        read("symbol", undefined, asset),
+        read("decimals", undefined, asset),
+        read("totalAssets"),
+        decimals !== undefined ? read("convertToAssets", [10n ** BigInt(decimals)]) : undefined,
+      ]);
+      if (typeof totalAssets === "bigint") {
+        pushFact("总资产", formatAmount(totalAssets, assetDecimals, assetSymbol));
       }
-
-      const { hash, receiptPromise } = await onWrite(fn, parsedArgs, payableValue);
-      setTxHash(hash);
-      setOutput("交易已发送，等待钱包确认...");
-
-      const receipt = await receiptPromise;
-      if (!receipt) {
-        setOutput("交易已发送。请稍后在区块浏览器查看。");
-        return;
+      if (typeof sharePrice === "bigint") {
+        pushFact("每份额资产", formatAmount(sharePrice, assetDecimals, assetSymbol));
       }
-      setOutput(
-        receipt.status === "success"
-          ? "交易已确认成功。"
-          : "交易已确认，但可能失败。"
-      );
-    } catch (error) {
-      setOutput(`调用失败：${error?.message || error}`);
-    } finally {
-      setLoading(false);
     }
-  };
+  }
 
-  return (
-    <details className="method-card">
-      <summary>
-        <div>{fn.name}</div>
-        <span className="method-meta">{signature}</span>
-      </summary>
+  pushFact("Owner", owner, "address");
+  pushFact("Pending Owner", pendingOwner === zeroAddress ? undefined : pendingOwner, "address");
+  if (typeof paused === "boolean") {
+    pushFact("暂停状态", paused ? "已暂停" : "运行中");
+  }
 
-      <div className="method-body">
-        {paramNodes.length > 0 && (
-          <div className="param-grid">{paramNodes.map((node) => renderNode(node))}</div>
-        )}
+  return { standards, facts };
+}
 
-        {kind === "write" && fn.stateMutability === "payable" && (
-          <div className="param">
-            <label>Value (ETH)</label>
-            <input
-              type="text"
-              placeholder="0.0"
-              value={payableValue}
-              onChange={(event) => setPayableValue(event.target.value)}
-            />
-          </div>
-        )}
+function ContractSummaryCard({ summary, explorerBase }) {
+  const explorerRoot = explorerBase ? explorerBase.replace(/\/$/, "") : "";
+  if (!summary.standards.length && !summary.facts.length) return null;
 
-        <div className="actions">
-          <button className="btn secondary" onClick={handleCall} disabled={loading}>
-            {kind === "read" ? "调用" : "发起交易"}
-          </button>
+  return (
+    <div className="summary-card">
+      <div className="summary-standards">
+        {summary.standards.map((item) => (
+          <span
+            className={`source-badge ${item.source === "erc165" ? "implementation" : ""}`}
+            key={item.id}
+            title={item.source === "erc165" ? "supportsInterface 确认" : "根据 ABI 函数推断"}
+          >
+            {item.label}
+          </span>
+        ))}
+      </div>
+      {summary.facts.map((fact) => (
+        <div className="confirm-row" key={fact.label}>
+          <span>{fact.label}</span>
+          <span className="confirm-value">
+            {fact.kind === "address" && explorerRoot ? (
+              <a href={`${explorerRoot}/address/${fact.value}`} target="_blank" rel="noopener">
+                {fact.value}
+              </a>
+            ) : (
+              fact.value
+            )}
+          </span>
         </div>
+      ))}
+    </div>
+  );
+}
 
-        <div className="output">{output}</div>
+function DecodedLogList({ logs, explorerBase, emptyText = "暂无日志", showEmitter = false }) {
+  if (!logs.length) {
+    return <div className="log-empty">{emptyText}</div>;
+  }
 
-        {kind === "write" && (
-          <div className="tx-row">
-            <span className="tx-hash">{txHash}</span>
-            {txHash && explorerBase && (
-              <a
-                className="btn ghost"
-                href={`${explorerBase.replace(/\/$/, "")}/tx/${txHash}`}
-                target="_blank"
-                rel="noopener"
-              >
-                查看交易
-              </a>
-            )}
+  const explorerRoot = explorerBase ? explorerBase.replace(/\/$/, "") : "";
+
+  return (
+    <div className="log-list">
+      {logs.map((log) => (
+        <div className="log-row" key={`${log.transactionHash}-${log.logIndex}`}>
+          <div className="log-row-header">
+            <span className="log-event-name">{log.eventName || "未知事件"}</span>
+            <span className="method-meta">
+              区块 {log.blockNumber?.toString() ?? "pending"} · #{log.logIndex ?? "-"}
+            </span>
           </div>
-        )}
-      </div>
-    </details>
+          {showEmitter && <div className="method-meta">合约 {log.address}</div>}
+          {!showEmitter && log.transactionHash && (
+            <div className="log-tx">
+              {explorerRoot ? (
+                <a href={`${explorerRoot}/tx/${log.transactionHash}`} target="_blank" rel="noopener">
+                  {log.transactionHash}
+                </a>
+              ) : (
+                log.transactionHash
+              )}
+            </div>
+          )}
+          <div className="log-args">
+            {formatLogArgs(log).map(([name, value]) => (
+              <div className="log-arg" key={name}>
+                <span className="log-arg-name">{name}</span>
+                <span className="log-arg-value">{stringifyLogValue(value)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
   );
 }
 
-export default function App() {
-  const [rpcListText, setRpcListText] = useState(DEFAULTS.rpcList);
-  const [selectedRpc, setSelectedRpc] = useState(DEFAULTS.rpcList);
-  const [explorerBase, setExplorerBase] = useState(DEFAULTS.explorerBase);
-  const [explorerApi, setExplorerApi] = useState(DEFAULTS.explorerApi);
-  const [explorerApiKey, setExplorerApiKey] = useState(DEFAULTS.explorerApiKey);
-  const [chainId, setChainId] = useState(DEFAULTS.chainId);
-  const [contractAddress, setContractAddress] = useState(DEFAULTS.contractAddress);
-  const [abiText, setAbiText] = useState(DEFAULTS.abi);
-  const [readFns, setReadFns] = useState([]);
-  const [writeFns, setWriteFns] = useState([]);
-  const [activeTab, setActiveTab] = useState("read");
-  const [status, setStatus] = useState({ message: "", type: "" });
+function getLogKey(log) {
+  return `${log.transactionHash}-${log.logIndex}`;
+}
+
+function EventWatchPanel({
+  events,
+  contractAddress,
+  explorerBase,
+  transportLabel,
+  onWatch,
+  onGetBlockNumber,
+  onInterrupted,
+}) {
+  const [selectedKeys, setSelectedKeys] = useState({});
+  const [watchState, setWatchState] = useState("idle");
+  const [feed, setFeed] = useState([]);
+  const [message, setMessage] = useState("");
+  const unwatchRef = useRef(null);
+  const nextBlockRef = useRef(null);
+  const watchAddressRef = useRef("");
+
+  useEffect(
+    () => () => {
+      if (!unwatchRef.current) return;
+      unwatchRef.current();
+      unwatchRef.current = null;
+      onInterrupted?.(watchAddressRef.current);
+    },
+    []
+  );
+
+  const selectedEvents = events.filter((item) => selectedKeys[getAbiItemKey(item)]);
+
+  const handleToggleEvent = (key) => {
+    setSelectedKeys((prev) => ({
+      ...prev,
+      [key]: !prev[key],
+    }));
+  };
+
+  const handleToggleAll = () => {
+    const allChecked = events.length > 0 && events.every((item) => selectedKeys[getAbiItemKey(item)]);
+    const next = {};
+    events.forEach((item) => {
+      next[getAbiItemKey(item)] = !allChecked;
+    });
+    setSelectedKeys(next);
+  };
+
+  const appendLogs = (logs) => {
+    logs.forEach((log) => {
+      if (typeof log.blockNumber === "bigint" && log.blockNumber >= (nextBlockRef.current ?? 0n)) {
+        nextBlockRef.current = log.blockNumber + 1n;
+      }
+    });
+    setFeed((prev) => {
+      const seen = new Set(prev.map(getLogKey));
+      const fresh = logs.filter((log) => !seen.has(getLogKey(log))).reverse();
+      return [...fresh, ...prev].slice(0, MAX_WATCH_FEED_SIZE);
+    });
+  };
+
+  const startWatching = async (resume = false) => {
+    if (!selectedEvents.length) {
+      setMessage("请至少选择一个事件。");
+      return;
+    }
+
+    try {
+      if (!resume) {
+        watchAddressRef.current = contractAddress;
+        nextBlockRef.current = await onGetBlockNumber().catch(() => null);
+      }
+      const fromBlock = resume ? nextBlockRef.current ?? undefined : undefined;
+      unwatchRef.current?.();
+      unwatchRef.current = onWatch(
+        watchAddressRef.current,
+        selectedEvents,
+        fromBlock,
+        appendLogs,
+        (error) => {
+          setMessage(`监听出错：${error?.message || error}`);
+        }
+      );
+      setWatchState("watching");
+      setMessage(
+        fromBlock !== undefined
+          ? `已从区块 ${fromBlock} 继续监听 ${watchAddressRef.current}（${transportLabel}）。`
+          : `正在监听 ${watchAddressRef.current} 的 ${selectedEvents.length} 个事件（${transportLabel}）。`
+      );
+    } catch (error) {
+      setMessage(`监听失败：${error?.message || error}`);
+    }
+  };
+
+  const handlePause = () => {
+    unwatchRef.current?.();
+    unwatchRef.current = null;
+    setWatchState("paused");
+    setMessage(
+      nextBlockRef.current === null
+        ? "已暂停监听。"
+        : `已暂停监听，继续时将从区块 ${nextBlockRef.current} 补齐。`
+    );
+  };
+
+  const handleResume = () => {
+    startWatching(true);
+  };
+
+  const handleStop = () => {
+    unwatchRef.current?.();
+    unwatchRef.current = null;
+    nextBlockRef.current = null;
+    setWatchState("idle");
+    setMessage("已停止监听。");
+  };
+
+  return (
+    <div className="watch-panel">
+      <div className="watch-header">
+        <h3>实时监听</h3>
+        <span className={`dot ${watchState === "watching" ? "online" : ""}`}></span>
+        <span className="method-meta">{transportLabel}</span>
+      </div>
+
+      <button className="link-btn" type="button" onClick={handleToggleAll}>
+        全部选择 / 取消全选
+      </button>
+      <div className="watch-events">
+        {events.map((item) => {
+          const key = getAbiItemKey(item);
+          return (
+            <label className="export-item" key={key}>
+              <input
+                type="checkbox"
+                checked={Boolean(selectedKeys[key])}
+                disabled={watchState === "watching"}
+                onChange={() => handleToggleEvent(key)}
+              />
+              <span>{item.name}</span>
+            </label>
+          );
+        })}
+      </div>
+
+      <div className="actions">
+        {watchState === "idle" && (
+          <button className="btn secondary" type="button" onClick={() => startWatching()}>
+            开始监听
+          </button>
+        )}
+        {watchState === "watching" && (
+          <button className="btn secondary" type="button" onClick={handlePause}>
+            暂停
+          </button>
+        )}
+        {watchState === "paused" && (
+          <button className="btn secondary" type="button" onClick={handleResume}>
+            继续
+          </button>
+        )}
+        {watchState !== "idle" && (
+          <button className="btn ghost" type="button" onClick={handleStop}>
+            停止
+          </button>
+        )}
+        <button className="btn ghost" type="button" onClick={() => setFeed([])}>
+          清空记录
+        </button>
+      </div>
+
+      {message && <div className="status">{message}</div>}
+
+      <DecodedLogList
+        logs={feed}
+        explorerBase={explorerBase}
+        emptyText="开始监听后，新事件会实时显示在这里。"
+      />
+    </div>
+  );
+}
+
+function EventCard({ abiEvent, explorerBase, onQueryLogs }) {
+  const indexedInputs = useMemo(
+    () => (abiEvent.inputs || []).filter((input) => input.indexed),
+    [abiEvent]
+  );
+  const [topicValues, setTopicValues] = useState({});
+  const [fromBlock, setFromBlock] = useState("");
+  const [toBlock, setToBlock] = useState("");
+  const [logs, setLogs] = useState([]);
+  const [output, setOutput] = useState("查询结果将在此显示");
+  const [loading, setLoading] = useState(false);
+  const signature = getFunctionSignature(abiEvent);
+
+  const handleTopicChange = (index, value) => {
+    setTopicValues((prev) => ({
+      ...prev,
+      [index]: value,
+    }));
+  };
+
+  const handleQuery = async () => {
+    setLoading(true);
+    setOutput("正在查询日志...");
+
+    try {
+      const args = buildEventFilterArgs(abiEvent, topicValues);
+      const result = await onQueryLogs(abiEvent, args, fromBlock, toBlock, (progress) => {
+        setOutput(
+          `正在查询日志：已处理至区块 ${progress.cursor}（共 ${progress.fromBlock} - ${progress.toBlock}），已获取 ${progress.count} 条。`
+        );
+      });
+      setLogs([...result.logs].reverse());
+      setOutput(
+        `共 ${result.logs.length} 条日志（区块 ${result.fromBlock} - ${result.toBlock}）。`
+      );
+    } catch (error) {
+      setOutput(`查询失败：${error?.message || error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <details className="method-card">
+      <summary>
+        <div className="method-title">
+          <span>{abiEvent.name}</span>
+          {abiEvent.anonymous && <span className="source-badge">anonymous</span>}
+        </div>
+        <span className="method-meta">{signature}</span>
+      </summary>
+
+      <div className="method-body">
+        {indexedInputs.length > 0 && (
+          <div className="param-grid">
+            {indexedInputs.map((input, index) => (
+              <div className="param" key={`${input.name}-${index}`}>
+                <label>
+                  {input.name || `topic${index + 1}`} ({input.type}, indexed)
+                </label>
+                <input
+                  type="text"
+                  placeholder="留空表示不过滤"
+                  value={topicValues[index] ?? ""}
+                  onChange={(event) => handleTopicChange(index, event.target.value)}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="field-grid">
+          <div className="param">
+            <label>起始区块</label>
+            <input
+              type="text"
+              placeholder={`默认最近 ${DEFAULT_LOG_LOOKBACK} 个区块`}
+              value={fromBlock}
+              onChange={(event) => setFromBlock(event.target.value)}
+            />
+          </div>
+          <div className="param">
+            <label>结束区块</label>
+            <input
+              type="text"
+              placeholder="latest"
+              value={toBlock}
+              onChange={(event) => setToBlock(event.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="actions">
+          <button className="btn secondary" onClick={handleQuery} disabled={loading}>
+            查询日志
+          </button>
+        </div>
+
+        <div className="output">{output}</div>
+
+        {logs.length > 0 && <DecodedLogList logs={logs} explorerBase={explorerBase} />}
+      </div>
+    </details>
+  );
+}
+
+const DANGEROUS_CALL_RULES = [
+  {
+    pattern: /^(transferOwnership|setOwner|changeOwner|transferAdmin|changeAdmin|setAdmin)$/,
+    signatures: [
+      "transferOwnership(address)",
+      "setOwner(address)",
+      "changeOwner(address)",
+      "transferAdmin(address)",
+      "changeAdmin(address)",
+      "setAdmin(address)",
+    ],
+    message: (fn, args) => `${fn.name} 会把合约管理权转移给 ${args[0]}，当前账户可能失去控制权。`,
+  },
+  {
+    pattern: /^renounce(Ownership|Role)$/,
+    signatures: ["renounceOwnership()", "renounceRole(bytes32,address)"],
+    message: (fn) => `${fn.name} 会永久放弃所有权或角色，操作不可撤销。`,
+  },
+  {
+    pattern: /^(upgradeTo|upgradeToAndCall|upgradeAndCall|upgradeBeaconToAndCall)$/,
+    signatures: [
+      "upgradeTo(address)",
+      "upgradeToAndCall(address,bytes)",
+      "upgrade(address,address)",
+      "upgradeAndCall(address,address,bytes)",
+    ],
+    message: (fn) => `${fn.name} 会升级合约实现，新实现将立即接管全部逻辑与资产。`,
+  },
+  {
+    pattern: /^(selfdestruct|destroy|destruct|kill|suicide|shutdown)$/i,
+    signatures: ["destroy()", "kill()"],
+    message: (fn) => `${fn.name} 可能销毁合约或清空其资产。`,
+  },
+  {
+    pattern: /^(approve|increaseAllowance)$/,
+    signatures: ["approve(address,uint256)", "increaseAllowance(address,uint256)"],
+    test: (args) => args.some((arg) => arg === maxUint256),
+    message: (fn, args) => `无限额度授权：${args[0]} 将可以转走你的全部该代币。`,
+  },
+  {
+    pattern: /^setApprovalForAll$/,
+    signatures: ["setApprovalForAll(address,bool)"],
+    test: (args) => args[1] === true,
+    message: (fn, args) => `${args[0]} 将获得你在该合约中全部 NFT 的管理权。`,
+  },
+  {
+    pattern: /^revokeRole$/,
+    signatures: ["revokeRole(bytes32,address)"],
+    test: (args) => String(args[0]).toLowerCase() === zeroHash,
+    message: (fn, args) =>
+      `将撤销 ${args[1]} 的 DEFAULT_ADMIN_ROLE，若没有其他管理员，所有角色将无法再被授予或撤销。`,
+  },
+  {
+    pattern: /^revokeRole$/,
+    signatures: ["revokeRole(bytes32,address)"],
+    test: (args, account) =>
+      Boolean(account) && String(args[1]).toLowerCase() === account.toLowerCase(),
+    message: () => "将撤销当前账户自己持有的角色，之后可能无法再执行需要该角色的操作。",
+  },
+].map((rule) => ({
+  ...rule,
+  selectors: new Set(rule.signatures.map((signature) => toFunctionSelector(signature))),
+}));
+
+function detectDangerousCall(fn, args, account) {
+  const selector = toFunctionSelector(fn);
+  return DANGEROUS_CALL_RULES.filter(
+    (rule) =>
+      (rule.pattern.test(fn.name) || rule.selectors.has(selector)) &&
+      (!rule.test || rule.test(args, account))
+  ).map((rule) => rule.message(fn, args));
+}
+
+function collectNestedScaling(nodes, values, exponents, tupleArrays, prefix) {
+  return nodes.flatMap((node) => {
+    if (node.kind === "leaf") {
+      const exponent = SCALE_TYPES.has(node.type) ? Number(exponents[node.key] || 0) : 0;
+      return exponent > 0 ? [`${prefix}${node.name} = ${values[node.key]} × 10^${exponent}`] : [];
+    }
+    if (node.kind === "tuple") {
+      return collectNestedScaling(
+        node.children,
+        values,
+        exponents,
+        tupleArrays,
+        `${prefix}${node.name}.`
+      );
+    }
+    const rows = Array.isArray(tupleArrays[node.key]) ? tupleArrays[node.key] : [];
+    return rows.flatMap((row, rowIndex) =>
+      collectNestedScaling(
+        node.children,
+        row?.values || {},
+        row?.exponents || {},
+        {},
+        `${prefix}${node.name}[${rowIndex}].`
+      )
+    );
+  });
+}
+
+function describeCallArguments(nodes, args, values, exponents, tupleArrays = {}) {
+  return nodes.map((node, index) => {
+    let scaling = "";
+    if (node.kind === "leaf") {
+      const exponent = SCALE_TYPES.has(node.type) ? Number(exponents[node.key] || 0) : 0;
+      if (exponent > 0) {
+        scaling = `${values[node.key]} × 10^${exponent}`;
+      } else if (/^u?int\d*\[/.test(node.type)) {
+        scaling = "数组元素为原始整数，未做精度换算";
+      }
+    } else {
+      scaling = collectNestedScaling([node], values, exponents, tupleArrays, "").join("；");
+    }
+    return {
+      key: node.key,
+      name: node.name,
+      type: node.type,
+      value: stringifyLogValue(formatValue(args[index])),
+      scaling,
+    };
+  });
+}
+
+function TxHistoryPanel({
+  records,
+  templates,
+  activeTemplateId,
+  explorerBase,
+  onRerun,
+  onExport,
+  onClear,
+}) {
+  const [templateFilter, setTemplateFilter] = useState("all");
+  const explorerRoot = explorerBase ? explorerBase.replace(/\/$/, "") : "";
+
+  const filteredRecords = records.filter((record) => {
+    if (templateFilter === "all") return true;
+    if (templateFilter === "active") return record.templateId === activeTemplateId;
+    if (templateFilter === "none") return !record.templateId;
+    return record.templateId === templateFilter;
+  });
+
+  return (
+    <div className="history-panel">
+      <div className="history-toolbar">
+        <select value={templateFilter} onChange={(event) => setTemplateFilter(event.target.value)}>
+          <option value="all">全部模板</option>
+          {activeTemplateId && <option value="active">当前模板</option>}
+          <option value="none">未使用模板</option>
+          {templates.map((template) => (
+            <option value={template.id} key={template.id}>
+              {template.name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="btn ghost small-btn"
+          type="button"
+          onClick={() => onExport(filteredRecords, "csv")}
+        >
+          导出 CSV
+        </button>
+        <button
+          className="btn ghost small-btn"
+          type="button"
+          onClick={() => onExport(filteredRecords, "json")}
+        >
+          导出 JSON
+        </button>
+        <button
+          className="btn ghost small-btn danger-btn"
+          type="button"
+          onClick={() => onClear(filteredRecords)}
+        >
+          清除
+        </button>
+      </div>
+
+      <div className={`method-list ${filteredRecords.length ? "" : "empty"}`}>
+        {filteredRecords.length === 0
+          ? "暂无交易记录。"
+          : filteredRecords.map((record) => (
+              <div className="history-item" key={record.id}>
+                <div className="log-row-header">
+                  <span className="log-event-name">{record.signature || record.functionName}</span>
+                  <span className={`status-badge ${record.status}`}>
+                    {TX_STATUS_LABELS[record.status] || record.status}
+                  </span>
+                </div>
+                <div className="method-meta">
+                  {new Date(record.timestamp).toLocaleString()} · 链 {record.chainId || "-"} ·{" "}
+                  {record.templateName || "未使用模板"}
+                </div>
+                <div className="method-meta">合约 {record.contractAddress}</div>
+                <div className="log-tx">
+                  {explorerRoot ? (
+                    <a href={`${explorerRoot}/tx/${record.hash}`} target="_blank" rel="noopener">
+                      {record.hash}
+                    </a>
+                  ) : (
+                    record.hash
+                  )}
+                </div>
+                <div className="log-args">
+                  <div className="log-arg">
+                    <span className="log-arg-name">args</span>
+                    <span className="log-arg-value">{JSON.stringify(record.args)}</span>
+                  </div>
+                  {record.gasUsed && (
+                    <div className="log-arg">
+                      <span className="log-arg-name">gasUsed</span>
+                      <span className="log-arg-value">{record.gasUsed}</span>
+                    </div>
+                  )}
+                  {record.batchId && (
+                    <div className="log-arg">
+                      <span className="log-arg-name">batch</span>
+                      <span className="log-arg-value">{record.batchId}</span>
+                    </div>
+                  )}
+                </div>
+                <div className="actions">
+                  <button
+                    className="btn ghost tiny-btn"
+                    type="button"
+                    onClick={() => onRerun(record)}
+                    disabled={!record.methodKey}
+                  >
+                    重新执行
+                  </button>
+                </div>
+              </div>
+            ))}
+      </div>
+    </div>
+  );
+}
+
+function generateQueuedCallId() {
+  return `call_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
+}
+
+async function detectDevNode(client) {
+  try {
+    const version = String(await client.request({ method: "web3_clientVersion" }));
+    const lower = version.toLowerCase();
+    const mode = DEV_NODE_MODES.find((item) => lower.includes(item));
+    return mode ? { mode, version } : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseProductionList(text) {
+  const entries = String(text || "")
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return {
+    chainIds: entries.filter((item) => /^\d+$/.test(item)).map(Number),
+    rpcUrls: entries.filter((item) => !/^\d+$/.test(item)).map((item) => item.toLowerCase()),
+  };
+}
+
+function isProductionChain(chainId, productionList) {
+  return productionList.chainIds.includes(Number(chainId));
+}
+
+function isProductionRpc(rpcUrl, productionList) {
+  const normalized = String(rpcUrl || "").trim().replace(/\/+$/, "").toLowerCase();
+  return productionList.rpcUrls.some((item) => item.replace(/\/+$/, "") === normalized);
+}
+
+function createDevSignerAccount(mode, secret, accountIndex) {
+  const value = secret.trim();
+  if (!value) {
+    throw new Error(mode === "mnemonic" ? "请填写助记词。" : "请填写私钥。");
+  }
+
+  if (mode === "mnemonic") {
+    const addressIndex = Number(parseIntegerField(accountIndex, "账户序号") ?? 0n);
+    return mnemonicToAccount(value.replace(/\s+/g, " "), { addressIndex });
+  }
+
+  const privateKey = value.startsWith("0x") ? value : `0x${value}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new Error("私钥格式不正确，应为 32 字节十六进制。");
+  }
+  return privateKeyToAccount(privateKey);
+}
+
+function buildQueuedCall(to, fn, args, valueEth, meta = {}) {
+  const value = parsePayableValue(valueEth) ?? 0n;
+  return {
+    id: generateQueuedCallId(),
+    to: getAddress(to),
+    value: value.toString(),
+    data: encodeFunctionData({ abi: [fn], functionName: fn.name, args }),
+    signature: getFunctionSignature(fn),
+    functionName: fn.name,
+    args: formatValue(args),
+    methodKey: meta.methodKey || "",
+    draft: meta.draft,
+  };
+}
+
+function encodeMultiSendData(calls) {
+  const packed = concatHex(
+    calls.map((call) =>
+      encodePacked(
+        ["uint8", "address", "uint256", "uint256", "bytes"],
+        [0, call.to, BigInt(call.value), BigInt(size(call.data)), call.data]
+      )
+    )
+  );
+  return encodeFunctionData({ abi: MULTI_SEND_ABI, functionName: "multiSend", args: [packed] });
+}
+
+function buildSafeTransaction(calls, multiSendAddress) {
+  if (calls.length === 1) {
+    return { to: calls[0].to, value: BigInt(calls[0].value), data: calls[0].data, operation: 0 };
+  }
+  return {
+    to: getAddress(multiSendAddress),
+    value: 0n,
+    data: encodeMultiSendData(calls),
+    operation: 1,
+  };
+}
+
+function computeSafeTxHash({ chainId, safeAddress, nonce, calls, multiSendAddress }) {
+  const safeTx = buildSafeTransaction(calls, multiSendAddress);
+  return {
+    ...safeTx,
+    hash: hashTypedData({
+      domain: { chainId, verifyingContract: getAddress(safeAddress) },
+      types: SAFE_TX_TYPES,
+      primaryType: "SafeTx",
+      message: {
+        ...safeTx,
+        safeTxGas: 0n,
+        baseGas: 0n,
+        gasPrice: 0n,
+        gasToken: zeroAddress,
+        refundReceiver: zeroAddress,
+        nonce,
+      },
+    }),
+  };
+}
+
+function buildSafeTransactionBatch({ chainId, safeAddress, name, description, calls }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: name || "Transactions Batch",
+      description: description || "",
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress ? getAddress(safeAddress) : "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: calls.map((call) => ({
+      to: call.to,
+      value: call.value,
+      data: call.data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+function QueuedCallList({ calls, onRemove, emptyText, renderExtra }) {
+  if (!calls.length) {
+    return <div className="log-empty">{emptyText}</div>;
+  }
+
+  return (
+    <div className="log-list">
+      {calls.map((call, index) => (
+        <div className="log-row" key={call.id}>
+          <div className="log-row-header">
+            <span className="log-event-name">
+              {index + 1}. {call.signature}
+            </span>
+            <button
+              className="btn ghost tiny-btn danger-btn"
+              type="button"
+              onClick={() => onRemove(call.id)}
+            >
+              移除
+            </button>
+          </div>
+          <div className="method-meta">
+            合约 {call.to} · value {call.value} wei
+          </div>
+          <div className="log-args">
+            <div className="log-arg">
+              <span className="log-arg-name">args</span>
+              <span className="log-arg-value">{JSON.stringify(call.args)}</span>
+            </div>
+            <div className="log-arg">
+              <span className="log-arg-name">data</span>
+              <span className="log-arg-value">{call.data}</span>
+            </div>
+          </div>
+          {renderExtra?.(call, index)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SafeQueuePanel({ calls, chainId, onRemove, onClear }) {
+  const [safeAddress, setSafeAddress] = useState("");
+  const [safeNonce, setSafeNonce] = useState("");
+  const [batchName, setBatchName] = useState("");
+  const [description, setDescription] = useState("");
+  const [multiSendId, setMultiSendId] = useState(MULTI_SEND_CALL_ONLY_DEPLOYMENTS[0].id);
+  const [customMultiSend, setCustomMultiSend] = useState("");
+  const [safeTx, setSafeTx] = useState(null);
+  const [message, setMessage] = useState({ text: "", type: "" });
+
+  useEffect(() => {
+    setSafeTx(null);
+  }, [calls, safeAddress, safeNonce, chainId, multiSendId, customMultiSend]);
+
+  const handleExport = () => {
+    if (!calls.length) {
+      setMessage({ text: "队列为空，请先在 Write 方法中加入交易。", type: "error" });
+      return;
+    }
+    if (!chainId) {
+      setMessage({ text: "请先在基础配置中填写链 ID。", type: "error" });
+      return;
+    }
+    if (safeAddress && !isAddress(safeAddress)) {
+      setMessage({ text: "Safe 地址格式不正确。", type: "error" });
+      return;
+    }
+
+    const batch = buildSafeTransactionBatch({
+      chainId,
+      safeAddress,
+      name: batchName.trim(),
+      description: description.trim(),
+      calls,
+    });
+    downloadFile(
+      `safe-tx-batch-${chainId}-${Date.now()}.json`,
+      JSON.stringify(batch, null, 2),
+      "application/json"
+    );
+    setMessage({ text: `已导出 ${calls.length} 笔交易的 Transaction Builder 文件。`, type: "success" });
+  };
+
+  const handleComputeHash = () => {
+    try {
+      if (!calls.length) {
+        throw new Error("队列为空，请先在 Write 方法中加入交易。");
+      }
+      if (!chainId) {
+        throw new Error("请先在基础配置中填写链 ID。");
+      }
+      if (!isAddress(safeAddress)) {
+        throw new Error("请填写正确的 Safe 地址。");
+      }
+      if (!/^\d+$/.test(safeNonce.trim())) {
+        throw new Error("请填写 Safe nonce（整数）。");
+      }
+      const multiSendAddress =
+        multiSendId === "custom"
+          ? customMultiSend.trim()
+          : MULTI_SEND_CALL_ONLY_DEPLOYMENTS.find((item) => item.id === multiSendId).address;
+      if (calls.length > 1 && !isAddress(multiSendAddress)) {
+        throw new Error("请填写正确的 MultiSendCallOnly 地址。");
+      }
+
+      setSafeTx(
+        computeSafeTxHash({
+          chainId,
+          safeAddress,
+          nonce: BigInt(safeNonce.trim()),
+          calls,
+          multiSendAddress,
+        })
+      );
+      setMessage({ text: "", type: "" });
+    } catch (error) {
+      setSafeTx(null);
+      setMessage({ text: error?.message || String(error), type: "error" });
+    }
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="field-grid">
+        <label className="field">
+          <span>Safe 地址</span>
+          <input
+            type="text"
+            value={safeAddress}
+            placeholder="0x..."
+            onChange={(event) => setSafeAddress(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span>Safe nonce（用于计算 Safe 交易哈希）</span>
+          <input
+            type="text"
+            value={safeNonce}
+            placeholder="0"
+            onChange={(event) => setSafeNonce(event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="field-grid">
+        <label className="field">
+          <span>批次名称（可选）</span>
+          <input
+            type="text"
+            value={batchName}
+            placeholder="Transactions Batch"
+            onChange={(event) => setBatchName(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span>描述（可选）</span>
+          <input
+            type="text"
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="field-grid">
+        <label className="field">
+          <span>MultiSendCallOnly 部署（多笔交易时使用，需与 Safe 版本及所在链一致）</span>
+          <select value={multiSendId} onChange={(event) => setMultiSendId(event.target.value)}>
+            {MULTI_SEND_CALL_ONLY_DEPLOYMENTS.map((item) => (
+              <option value={item.id} key={item.id}>
+                {item.label} · {shortAddress(item.address)}
+              </option>
+            ))}
+            <option value="custom">自定义地址</option>
+          </select>
+        </label>
+        {multiSendId === "custom" && (
+          <label className="field">
+            <span>MultiSendCallOnly 地址</span>
+            <input
+              type="text"
+              value={customMultiSend}
+              placeholder="0x..."
+              onChange={(event) => setCustomMultiSend(event.target.value)}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="actions">
+        <button className="btn primary" type="button" onClick={handleExport}>
+          导出 Transaction Builder JSON
+        </button>
+        <button className="btn secondary" type="button" onClick={handleComputeHash}>
+          计算 Safe 交易哈希
+        </button>
+        <button className="btn ghost" type="button" onClick={onClear}>
+          清空队列
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      {safeTx && (
+        <div className="confirm-step">
+          <div className="confirm-row">
+            <span>Safe 交易哈希</span>
+            <span className="confirm-value">{safeTx.hash}</span>
+          </div>
+          <div className="confirm-row">
+            <span>to</span>
+            <span className="confirm-value">{safeTx.to}</span>
+          </div>
+          <div className="confirm-row">
+            <span>operation</span>
+            <span className="confirm-value">
+              {safeTx.operation === 1 ? "1（DELEGATECALL，MultiSendCallOnly）" : "0（CALL）"}
+            </span>
+          </div>
+          <div className="method-meta">
+            按 Safe v1.3.0 及以上版本（domain 含 chainId）的 EIP-712 结构计算，safeTxGas / baseGas /
+            gasPrice 均为 0。多笔交易的哈希取决于所选 MultiSendCallOnly 地址，若与 Safe
+            界面使用的部署不同，哈希将不一致。
+          </div>
+        </div>
+      )}
+
+      <QueuedCallList
+        calls={calls}
+        onRemove={onRemove}
+        emptyText="队列为空。在 Write 方法中点击“加入 Safe 队列”添加交易。"
+      />
+    </div>
+  );
+}
+
+function BatchQueuePanel({ calls, explorerBase, hasTemplate, onSend, onRemove, onClear }) {
+  const [stepStatus, setStepStatus] = useState({});
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState({ text: "", type: "" });
+
+  const handleStep = (callId, status) => {
+    setStepStatus((prev) => ({ ...prev, [callId]: status }));
+  };
+
+  const handleSend = async () => {
+    if (!calls.length) {
+      setMessage({ text: "队列为空，请先在 Write 方法中加入交易。", type: "error" });
+      return;
+    }
+
+    setSending(true);
+    setStepStatus(Object.fromEntries(calls.map((call) => [call.id, { state: "waiting" }])));
+    setMessage({ text: "正在提交批量交易...", type: "" });
+
+    try {
+      const { mode, failed } = await onSend(calls, handleStep);
+      const modeLabel = mode === "sendCalls" ? "wallet_sendCalls" : "逐笔发送";
+      setMessage(
+        failed
+          ? { text: `批量交易未全部成功（${modeLabel}），请查看各步骤状态。`, type: "error" }
+          : { text: `批量交易已完成（${modeLabel}）。`, type: "success" }
+      );
+    } catch (error) {
+      setStepStatus((prev) =>
+        Object.fromEntries(
+          Object.entries(prev).map(([callId, status]) => [
+            callId,
+            status.state === "waiting" || status.state === "sending" ? { state: "failed" } : status,
+          ])
+        )
+      );
+      setMessage({ text: `批量交易失败：${error?.shortMessage || error?.message || error}`, type: "error" });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderStep = (call) => {
+    const status = stepStatus[call.id];
+    if (!status) return null;
+
+    return (
+      <div className="tx-row">
+        <span className={`status-badge ${BATCH_STEP_BADGES[status.state] || ""}`}>
+          {BATCH_STEP_LABELS[status.state] || status.state}
+        </span>
+        {status.hash &&
+          (explorerBase ? (
+            <a
+              href={`${explorerBase.replace(/\/$/, "")}/tx/${status.hash}`}
+              target="_blank"
+              rel="noreferrer"
+            >
+              {status.hash}
+            </a>
+          ) : (
+            <span className="confirm-value">{status.hash}</span>
+          ))}
+        {status.error && <span className="text-danger">{status.error}</span>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="method-meta">
+        钱包支持 EIP-5792 时通过 wallet_sendCalls 一次提交，否则逐笔发送并在失败时停止。
+        {hasTemplate ? "队列会保存在当前模板中。" : "保存模板后队列可随模板保留。"}
+      </div>
+
+      <div className="actions">
+        <button className="btn primary" type="button" onClick={handleSend} disabled={sending}>
+          {sending ? "提交中..." : `提交批量交易（${calls.length} 笔）`}
+        </button>
+        <button
+          className="btn ghost"
+          type="button"
+          onClick={() => {
+            setStepStatus({});
+            onClear();
+          }}
+          disabled={sending}
+        >
+          清空队列
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      <QueuedCallList
+        calls={calls}
+        onRemove={onRemove}
+        emptyText="队列为空。在 Write 方法中点击“加入批量队列”添加交易。"
+        renderExtra={renderStep}
+      />
+    </div>
+  );
+}
+
+function buildUnsignedTxExport({ from, tx, serialized, signature, args }) {
+  return {
+    from,
+    chainId: tx.chainId,
+    type: tx.type,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value.toString(),
+    nonce: tx.nonce,
+    gas: tx.gas.toString(),
+    ...(tx.type === "legacy"
+      ? { gasPrice: tx.gasPrice.toString() }
+      : {
+          maxFeePerGas: tx.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+        }),
+    function: signature,
+    args: formatValue(args),
+    unsignedSerialized: serialized,
+    createdAt: getCurrentIsoTime(),
+  };
+}
+
+function describeRawTransaction(serialized) {
+  const tx = parseTransaction(serialized);
+  if (tx.r === undefined || tx.s === undefined) {
+    throw new Error("交易未签名，请粘贴签名后的 raw transaction。");
+  }
+
+  const lines = [
+    `类型：${tx.type}`,
+    `链 ID：${tx.chainId ?? "未指定"}`,
+    `to：${tx.to || "（合约创建）"}`,
+    `value：${formatEther(tx.value ?? 0n)}`,
+    `nonce：${tx.nonce ?? 0}`,
+    `gas：${tx.gas ?? "-"}`,
+  ];
+  if (tx.gasPrice !== undefined) lines.push(`Gas Price：${formatGwei(tx.gasPrice)} gwei`);
+  if (tx.maxFeePerGas !== undefined) lines.push(`Max Fee：${formatGwei(tx.maxFeePerGas)} gwei`);
+  if (tx.maxPriorityFeePerGas !== undefined) {
+    lines.push(`Max Priority Fee：${formatGwei(tx.maxPriorityFeePerGas)} gwei`);
+  }
+  return { tx, lines };
+}
+
+function RawTxBroadcastPanel({ explorerBase, onBroadcast }) {
+  const [rawTx, setRawTx] = useState("");
+  const [broadcasting, setBroadcasting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState({ text: "", type: "" });
+
+  const preview = useMemo(() => {
+    const value = rawTx.trim();
+    if (!value) return null;
+    try {
+      return describeRawTransaction(value);
+    } catch (error) {
+      return { error: error?.shortMessage || error?.message || String(error) };
+    }
+  }, [rawTx]);
+
+  const handleBroadcast = async () => {
+    if (!preview || preview.error) {
+      setMessage({ text: preview?.error || "请粘贴签名后的 raw transaction。", type: "error" });
+      return;
+    }
+
+    setBroadcasting(true);
+    setResult(null);
+    setMessage({ text: "正在广播交易...", type: "" });
+
+    try {
+      const { hash, via, receiptPromise } = await onBroadcast(rawTx.trim(), preview.tx);
+      setResult({ hash, via });
+      setMessage({ text: "交易已广播，等待链上确认...", type: "" });
+
+      if (receiptPromise) {
+        const receipt = await receiptPromise;
+        setMessage(
+          receipt.status === "success"
+            ? { text: `交易成功，区块 ${receipt.blockNumber}。`, type: "success" }
+            : { text: `交易已回滚，区块 ${receipt.blockNumber}。`, type: "error" }
+        );
+      } else {
+        setMessage({ text: "交易已广播。", type: "success" });
+      }
+    } catch (error) {
+      setMessage({ text: `广播失败：${error?.shortMessage || error?.message || error}`, type: "error" });
+    } finally {
+      setBroadcasting(false);
+    }
+  };
+
+  return (
+    <div className="history-panel">
+      <label className="field">
+        <span>已签名交易（0x 开头的 raw transaction）</span>
+        <textarea
+          rows={5}
+          value={rawTx}
+          placeholder="0x02f8..."
+          onChange={(event) => setRawTx(event.target.value)}
+        />
+      </label>
+
+      {preview && (
+        <div className={`confirm-step ${preview.error ? "reverted" : ""}`}>
+          {preview.error ? (
+            <div className="text-danger">{preview.error}</div>
+          ) : (
+            preview.lines.map((line) => (
+              <div className="method-meta" key={line}>
+                {line}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      <div className="actions">
+        <button
+          className="btn primary"
+          type="button"
+          onClick={handleBroadcast}
+          disabled={broadcasting}
+        >
+          {broadcasting ? "广播中..." : "广播交易"}
+        </button>
+      </div>
+      <div className="method-meta">
+        优先通过当前 RPC 发送，失败时改用浏览器 API 代理（eth_sendRawTransaction）。
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      {result && (
+        <div className="tx-row">
+          <span>{result.via === "explorer" ? "浏览器代理" : "RPC"}</span>
+          {explorerBase ? (
+            <a
+              href={`${explorerBase.replace(/\/$/, "")}/tx/${result.hash}`}
+              target="_blank"
+              rel="noreferrer"
+            >
+              {result.hash}
+            </a>
+          ) : (
+            <span className="confirm-value">{result.hash}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DevSignerPanel({
+  devSigner,
+  productionListText,
+  onProductionListChange,
+  onEnable,
+  onDisable,
+}) {
+  const [mode, setMode] = useState("privateKey");
+  const [secret, setSecret] = useState("");
+  const [accountIndex, setAccountIndex] = useState("0");
+
+  const handleEnable = () => {
+    if (onEnable(mode, secret, accountIndex)) {
+      setSecret("");
+    }
+  };
+
+  return (
+    <details className="advanced-section">
+      <summary>开发签名器（仅限本地 / 测试链）</summary>
+      <div className="advanced-body">
+        {devSigner ? (
+          <>
+            <div className="text-danger">
+              已启用：{devSigner.account.address}（{DEV_SIGNER_MODE_LABELS[devSigner.mode]}）
+            </div>
+            <div className="actions">
+              <button className="btn ghost danger-btn" type="button" onClick={onDisable}>
+                停用并清除
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="field-grid">
+              <label className="field">
+                <span>类型</span>
+                <select value={mode} onChange={(event) => setMode(event.target.value)}>
+                  <option value="privateKey">{DEV_SIGNER_MODE_LABELS.privateKey}</option>
+                  <option value="mnemonic">{DEV_SIGNER_MODE_LABELS.mnemonic}</option>
+                </select>
+              </label>
+              {mode === "mnemonic" && (
+                <label className="field">
+                  <span>账户序号</span>
+                  <input
+                    type="text"
+                    value={accountIndex}
+                    placeholder="0"
+                    onChange={(event) => setAccountIndex(event.target.value)}
+                  />
+                </label>
+              )}
+            </div>
+            <label className="field">
+              <span>{mode === "mnemonic" ? "助记词" : "私钥"}（仅保存在内存中，不会写入模板）</span>
+              <input
+                type="password"
+                autoComplete="off"
+                value={secret}
+                placeholder={mode === "mnemonic" ? "test test test ... junk" : "0x..."}
+                onChange={(event) => setSecret(event.target.value)}
+              />
+            </label>
+            <div className="actions">
+              <button className="btn secondary" type="button" onClick={handleEnable}>
+                启用开发签名器
+              </button>
+            </div>
+          </>
+        )}
+        <label className="field">
+          <span>生产链列表（链 ID 或 RPC 地址，逗号或换行分隔，命中时拒绝使用开发签名器）</span>
+          <textarea
+            rows={3}
+            value={productionListText}
+            onChange={(event) => onProductionListChange(event.target.value)}
+          ></textarea>
+        </label>
+        <div className="actions">
+          <button
+            className="btn ghost"
+            type="button"
+            onClick={() => onProductionListChange(DEFAULT_PRODUCTION_CHAIN_IDS.join(", "))}
+          >
+            恢复默认列表
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+}
+
+function parseStorageWord(raw, label) {
+  const trimmed = String(raw ?? "").trim();
+  if (/^\d+$/.test(trimmed)) {
+    return numberToHex(BigInt(trimmed), { size: 32 });
+  }
+  if (isHex(trimmed) && trimmed.length <= 66) {
+    return pad(trimmed, { size: 32 });
+  }
+  throw new Error(`${label} 格式不正确，请输入十进制整数或不超过 32 字节的十六进制。`);
+}
+
+function DevChainPanel({ testClient, devNode, defaultAddress }) {
+  const [blockInfo, setBlockInfo] = useState(null);
+  const [timeInput, setTimeInput] = useState("3600");
+  const [timestampInput, setTimestampInput] = useState("");
+  const [mineAfterTime, setMineAfterTime] = useState(true);
+  const [mineCount, setMineCount] = useState("1");
+  const [snapshotName, setSnapshotName] = useState("");
+  const [snapshots, setSnapshots] = useState([]);
+  const [stateAddress, setStateAddress] = useState(defaultAddress || "");
+  const [balanceInput, setBalanceInput] = useState("");
+  const [codeInput, setCodeInput] = useState("");
+  const [slotInput, setSlotInput] = useState("");
+  const [slotValueInput, setSlotValueInput] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", type: "" });
+
+  const refreshBlock = async () => {
+    const block = await testClient.getBlock();
+    setBlockInfo({ number: block.number, timestamp: block.timestamp });
+  };
+
+  useEffect(() => {
+    setSnapshots([]);
+    refreshBlock().catch(() => setBlockInfo(null));
+  }, [testClient]);
+
+  useEffect(() => {
+    if (defaultAddress) setStateAddress(defaultAddress);
+  }, [defaultAddress]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setMessage({ text: "正在执行...", type: "" });
+    try {
+      const text = await action();
+      await refreshBlock().catch(() => {});
+      setMessage({ text, type: "success" });
+    } catch (error) {
+      setMessage({ text: error?.shortMessage || error?.message || String(error), type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const requireStateAddress = () => {
+    if (!isAddress(stateAddress.trim())) {
+      throw new Error("请填写正确的目标地址。");
+    }
+    return getAddress(stateAddress.trim());
+  };
+
+  const handleIncreaseTime = () =>
+    runAction(async () => {
+      const seconds = parseIntegerField(timeInput, "秒数");
+      if (seconds === undefined) throw new Error("请填写要增加的秒数。");
+      await testClient.increaseTime({ seconds: Number(seconds) });
+      if (mineAfterTime) await testClient.mine({ blocks: 1 });
+      return `已增加 ${seconds} 秒${mineAfterTime ? "并出块" : "，将在下一个区块生效"}。`;
+    });
+
+  const handleSetNextTimestamp = () =>
+    runAction(async () => {
+      const timestamp = parseIntegerField(timestampInput, "时间戳");
+      if (timestamp === undefined) throw new Error("请填写下一区块的时间戳（秒）。");
+      await testClient.setNextBlockTimestamp({ timestamp });
+      if (mineAfterTime) await testClient.mine({ blocks: 1 });
+      return `下一区块时间戳已设为 ${timestamp}${mineAfterTime ? "，并已出块" : ""}。`;
+    });
+
+  const handleMine = () =>
+    runAction(async () => {
+      const blocks = Number(parseIntegerField(mineCount, "区块数") ?? 1n);
+      if (blocks < 1) throw new Error("区块数必须大于 0。");
+      await testClient.mine({ blocks });
+      return `已挖出 ${blocks} 个区块。`;
+    });
+
+  const handleSnapshot = () =>
+    runAction(async () => {
+      const id = await testClient.snapshot();
+      const block = await testClient.getBlockNumber();
+      const name = snapshotName.trim() || `snapshot-${snapshots.length + 1}`;
+      setSnapshots((prev) => [...prev, { id, name, block, createdAt: getCurrentIsoTime() }]);
+      setSnapshotName("");
+      return `已创建快照「${name}」（${id}）。`;
+    });
+
+  const handleRevert = (snapshot) =>
+    runAction(async () => {
+      await testClient.revert({ id: snapshot.id });
+      setSnapshots((prev) => prev.slice(0, prev.indexOf(snapshot)));
+      return `已回滚到快照「${snapshot.name}」，该快照及之后的快照已被节点消耗。`;
+    });
+
+  const handleSetBalance = () =>
+    runAction(async () => {
+      const target = requireStateAddress();
+      const value = parsePayableValue(balanceInput);
+      if (value === undefined) throw new Error("请填写余额（原生代币数量）。");
+      await testClient.setBalance({ address: target, value });
+      return `已将 ${target} 余额设为 ${formatEther(value)}。`;
+    });
+
+  const handleSetCode = () =>
+    runAction(async () => {
+      const target = requireStateAddress();
+      const bytecode = codeInput.trim() || "0x";
+      if (!isHex(bytecode)) throw new Error("字节码必须为 0x 开头的十六进制。");
+      await testClient.setCode({ address: target, bytecode });
+      return `已替换 ${target} 的代码（${size(bytecode)} 字节）。`;
+    });
+
+  const handleSetStorage = () =>
+    runAction(async () => {
+      const target = requireStateAddress();
+      const index = parseStorageWord(slotInput, "存储槽");
+      const value = parseStorageWord(slotValueInput, "存储值");
+      await testClient.setStorageAt({ address: target, index, value });
+      return `已写入 ${target} 槽位 ${index}。`;
+    });
+
+  return (
+    <div className="history-panel">
+      <div className="contract-meta">
+        <span>{devNode.version}</span>
+        {blockInfo && (
+          <span>
+            区块 {blockInfo.number.toString()} · 时间戳 {blockInfo.timestamp.toString()}（
+            {new Date(Number(blockInfo.timestamp) * 1000).toLocaleString()}）
+          </span>
+        )}
+      </div>
+
+      <div className="dev-chain-section">
+        <h3>时间</h3>
+        <div className="field-grid">
+          <label className="field">
+            <span>增加秒数（evm_increaseTime）</span>
+            <input type="text" value={timeInput} onChange={(event) => setTimeInput(event.target.value)} />
+          </label>
+          <label className="field">
+            <span>下一区块时间戳（evm_setNextBlockTimestamp）</span>
+            <input
+              type="text"
+              value={timestampInput}
+              placeholder={blockInfo ? String(blockInfo.timestamp + 1n) : ""}
+              onChange={(event) => setTimestampInput(event.target.value)}
+            />
+          </label>
+        </div>
+        <label className="export-item">
+          <input
+            type="checkbox"
+            checked={mineAfterTime}
+            onChange={(event) => setMineAfterTime(event.target.checked)}
+          />
+          <span>调整时间后立即出块</span>
+        </label>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleIncreaseTime} disabled={busy}>
+            增加时间
+          </button>
+          <button className="btn secondary" type="button" onClick={handleSetNextTimestamp} disabled={busy}>
+            设置时间戳
+          </button>
+        </div>
+      </div>
+
+      <div className="dev-chain-section">
+        <h3>出块</h3>
+        <div className="field-grid">
+          <label className="field">
+            <span>区块数（evm_mine）</span>
+            <input type="text" value={mineCount} onChange={(event) => setMineCount(event.target.value)} />
+          </label>
+        </div>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleMine} disabled={busy}>
+            出块
+          </button>
+        </div>
+      </div>
+
+      <div className="dev-chain-section">
+        <h3>快照</h3>
+        <div className="field-grid">
+          <label className="field">
+            <span>快照名称</span>
+            <input
+              type="text"
+              value={snapshotName}
+              placeholder={`snapshot-${snapshots.length + 1}`}
+              onChange={(event) => setSnapshotName(event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleSnapshot} disabled={busy}>
+            创建快照
+          </button>
+        </div>
+        {snapshots.map((snapshot) => (
+          <div className="history-item" key={snapshot.id}>
+            <span className="log-event-name">{snapshot.name}</span>
+            <span className="method-meta">
+              {snapshot.id} · 区块 {snapshot.block.toString()}
+            </span>
+            <button
+              className="btn ghost tiny-btn"
+              type="button"
+              onClick={() => handleRevert(snapshot)}
+              disabled={busy}
+            >
+              回滚
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="dev-chain-section">
+        <h3>账户状态</h3>
+        <label className="field">
+          <span>目标地址</span>
+          <input
+            type="text"
+            value={stateAddress}
+            placeholder="0x..."
+            onChange={(event) => setStateAddress(event.target.value)}
+          />
+        </label>
+        <div className="field-grid">
+          <label className="field">
+            <span>余额（原生代币，setBalance）</span>
+            <input
+              type="text"
+              value={balanceInput}
+              placeholder="100"
+              onChange={(event) => setBalanceInput(event.target.value)}
+            />
+          </label>
+          <div className="actions">
+            <button className="btn secondary" type="button" onClick={handleSetBalance} disabled={busy}>
+              设置余额
+            </button>
+          </div>
+        </div>
+        <label className="field">
+          <span>运行时字节码（setCode）</span>
+          <textarea
+            rows={3}
+            value={codeInput}
+            placeholder="0x..."
+            onChange={(event) => setCodeInput(event.target.value)}
+          />
+        </label>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleSetCode} disabled={busy}>
+            设置代码
+          </button>
+        </div>
+        <div className="field-grid">
+          <label className="field">
+            <span>存储槽（setStorageAt）</span>
+            <input
+              type="text"
+              value={slotInput}
+              placeholder="0 或 0x..."
+              onChange={(event) => setSlotInput(event.target.value)}
+            />
+          </label>
+          <label className="field">
+            <span>存储值</span>
+            <input
+              type="text"
+              value={slotValueInput}
+              placeholder="0x..."
+              onChange={(event) => setSlotValueInput(event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleSetStorage} disabled={busy}>
+            写入存储
+          </button>
+        </div>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+}
+
+function parseTokenIdList(raw) {
+  const ids = [];
+  String(raw || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((part) => {
+      const range = part.match(/^(\d+)-(\d+)$/);
+      if (range) {
+        const start = BigInt(range[1]);
+        const end = BigInt(range[2]);
+        if (end < start) {
+          throw new Error(`区间 ${part} 无效。`);
+        }
+        if (end - start >= BigInt(MAX_NFT_VIEW_COUNT)) {
+          throw new Error(`单次最多查看 ${MAX_NFT_VIEW_COUNT} 个 token。`);
+        }
+        for (let id = start; id <= end; id += 1n) ids.push(id);
+        return;
+      }
+      if (!/^\d+$/.test(part)) {
+        throw new Error(`token id「${part}」格式不正确。`);
+      }
+      ids.push(BigInt(part));
+    });
+
+  const unique = Array.from(new Set(ids.map(String)), (id) => BigInt(id));
+  if (!unique.length) {
+    throw new Error("请填写 token id，例如 1, 2, 10-20。");
+  }
+  if (unique.length > MAX_NFT_VIEW_COUNT) {
+    throw new Error(`单次最多查看 ${MAX_NFT_VIEW_COUNT} 个 token。`);
+  }
+  return unique;
+}
+
+function resolveNftUri(uri, gateway, tokenId) {
+  let value = String(uri || "").trim();
+  if (tokenId !== undefined) {
+    value = value.replace(/\{id\}/gi, tokenId.toString(16).padStart(64, "0"));
+  }
+
+  const gatewayRoot = `${(gateway || DEFAULT_IPFS_GATEWAY).replace(/\/+$/, "")}/`;
+  if (/^ipfs:\/\//i.test(value)) {
+    return gatewayRoot + value.replace(/^ipfs:\/\/(ipfs\/)?/i, "");
+  }
+  if (/^ar:\/\//i.test(value)) {
+    return `https://arweave.net/${value.slice(5)}`;
+  }
+  if (/^(Qm[1-9A-Za-z]{44}|bafy[0-9a-z]+)(\/.*)?$/.test(value)) {
+    return gatewayRoot + value;
+  }
+  return value;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function resolveNftImage(metadata, gateway) {
+  const image = metadata?.image || metadata?.image_url || metadata?.imageUrl;
+  if (image) return resolveNftUri(image, gateway);
+  if (typeof metadata?.image_data === "string") {
+    return `data:image/svg+xml;utf8,${encodeURIComponent(metadata.image_data)}`;
+  }
+  return "";
+}
+
+function formatNftText(value, fallback) {
+  return value === undefined || value === null || value === "" ? fallback : stringifyLogValue(value);
+}
+
+async function fetchNftMetadata(url) {
+  if (!/^(https?:|data:)/i.test(url)) {
+    throw new Error(`不支持的元数据地址：${url}`);
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`元数据请求失败（HTTP ${response.status}）。`);
+  }
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error("元数据不是合法的 JSON。");
+  }
+}
+
+function NftViewerPanel({ uriFunctionName, onReadTokenUri }) {
+  const [tokenInput, setTokenInput] = useState("");
+  const [gateway, setGateway] = useState(
+    () => localStorage.getItem(IPFS_GATEWAY_STORAGE_KEY) || DEFAULT_IPFS_GATEWAY
+  );
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: "", type: "" });
+
+  const handleGatewayChange = (value) => {
+    setGateway(value);
+    localStorage.setItem(IPFS_GATEWAY_STORAGE_KEY, value);
+  };
+
+  const updateItem = (tokenId, patch) => {
+    setItems((prev) =>
+      prev.map((item) => (item.tokenId === tokenId ? { ...item, ...patch } : item))
+    );
+  };
+
+  const handleView = async () => {
+    let tokenIds;
+    try {
+      tokenIds = parseTokenIdList(tokenInput);
+    } catch (error) {
+      setMessage({ text: error.message, type: "error" });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: `正在读取 ${tokenIds.length} 个 token 的元数据...`, type: "" });
+    setItems(tokenIds.map((tokenId) => ({ tokenId, state: "loading" })));
+
+    let failed = 0;
+    for (const tokenId of tokenIds) {
+      try {
+        const uri = String(await onReadTokenUri(tokenId));
+        const metadataUrl = resolveNftUri(uri, gateway, tokenId);
+        updateItem(tokenId, { uri, metadataUrl });
+        const metadata = await fetchNftMetadata(metadataUrl);
+        updateItem(tokenId, {
+          state: "loaded",
+          metadata,
+          image: resolveNftImage(metadata, gateway),
+        });
+      } catch (error) {
+        failed += 1;
+        updateItem(tokenId, {
+          state: "error",
+          error: error?.shortMessage || error?.message || String(error),
+        });
+      }
+    }
+
+    setLoading(false);
+    setMessage(
+      failed
+        ? { text: `完成，${failed} 个 token 读取失败。`, type: "error" }
+        : { text: `已读取 ${tokenIds.length} 个 token。`, type: "success" }
+    );
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="field-grid">
+        <label className="field">
+          <span>Token ID（逗号分隔或区间，如 1, 5, 10-20）</span>
+          <input
+            type="text"
+            value={tokenInput}
+            placeholder="1-10"
+            onChange={(event) => setTokenInput(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span>IPFS 网关</span>
+          <input
+            type="text"
+            value={gateway}
+            placeholder={DEFAULT_IPFS_GATEWAY}
+            onChange={(event) => handleGatewayChange(event.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="actions">
+        <button className="btn primary" type="button" onClick={handleView} disabled={loading}>
+          {loading ? "读取中..." : `读取 ${uriFunctionName}`}
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      <div className="nft-grid">
+        {items.map((item) => (
+          <div className="nft-card" key={item.tokenId.toString()}>
+            <div className="nft-image">
+              {item.image ? (
+                <img
+                  src={item.image}
+                  alt={formatNftText(item.metadata?.name, `#${item.tokenId}`)}
+                  loading="lazy"
+                />
+              ) : (
+                <span className="method-meta">
+                  {item.state === "loading" ? "加载中..." : "无图片"}
+                </span>
+              )}
+            </div>
+            <div className="log-event-name">
+              {formatNftText(item.metadata?.name, `#${item.tokenId.toString()}`)}
+            </div>
+            <div className="method-meta">Token ID {item.tokenId.toString()}</div>
+            {item.metadata?.description && (
+              <div className="nft-description">
+                {formatNftText(item.metadata.description, "")}
+              </div>
+            )}
+            {Array.isArray(item.metadata?.attributes) && item.metadata.attributes.length > 0 && (
+              <div className="log-args">
+                {item.metadata.attributes.map((attribute, index) => (
+                  <div className="log-arg" key={index}>
+                    <span className="log-arg-name">{formatNftText(attribute?.trait_type, "-")}</span>
+                    <span className="log-arg-value">{stringifyLogValue(attribute?.value)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {item.uri && (
+              <div className="method-meta nft-uri">
+                {isHttpUrl(item.metadataUrl) ? (
+                  <a href={item.metadataUrl} target="_blank" rel="noopener noreferrer">
+                    {item.uri}
+                  </a>
+                ) : item.uri.length > 64 ? (
+                  `${item.uri.slice(0, 64)}…`
+                ) : (
+                  item.uri
+                )}
+              </div>
+            )}
+            {item.error && <div className="text-danger">{item.error}</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function detectApprovalKind(standards, functions) {
+  const standardIds = (standards || []).map((item) => item.id);
+  const signatures = new Set(
+    functions.filter((item) => item.type === "function").map(getFunctionSignature)
+  );
+
+  if (standardIds.includes("erc20") || signatures.has("allowance(address,address)")) {
+    return "erc20";
+  }
+  if (
+    standardIds.includes("erc721") ||
+    (signatures.has("isApprovedForAll(address,address)") && signatures.has("getApproved(uint256)"))
+  ) {
+    return "erc721";
+  }
+  if (standardIds.includes("erc1155") || signatures.has("isApprovedForAll(address,address)")) {
+    return "erc1155";
+  }
+  return null;
+}
+
+function findAbiItem(abi, type, name) {
+  return abi.find((item) => item.type === type && item.name === name);
+}
+
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function ApprovalManagerPanel({
+  kind,
+  owner,
+  contractAddress,
+  targetChainId,
+  walletChainId,
+  signerNotice,
+  explorerBase,
+  errorAbi,
+  onQueryLogs,
+  onGetDeploymentBlock,
+  onRead,
+  onSimulate,
+  onWrite,
+}) {
+  const [fromBlock, setFromBlock] = useState("");
+  const [toBlock, setToBlock] = useState("");
+  const [manualSpender, setManualSpender] = useState("");
+  const [rows, setRows] = useState([]);
+  const [pendingTx, setPendingTx] = useState(null);
+  const [token, setToken] = useState({ decimals: undefined, symbol: "" });
+  const [scanning, setScanning] = useState(false);
+  const [busyKey, setBusyKey] = useState("");
+  const [message, setMessage] = useState({ text: "", type: "" });
+  const explorerRoot = explorerBase ? explorerBase.replace(/\/$/, "") : "";
+
+  useEffect(() => {
+    setRows([]);
+    setMessage({ text: "", type: "" });
+  }, [owner, kind]);
+
+  const erc20Fn = (type, name) => findAbiItem(ERC20_APPROVAL_ABI, type, name);
+  const nftFn = (type, name) => findAbiItem(NFT_APPROVAL_ABI, type, name);
+
+  const formatAllowance = (value) => {
+    if (value >= maxUint256 / 2n) return "无限";
+    const amount =
+      token.decimals === undefined ? value.toString() : formatUnits(value, token.decimals);
+    return token.symbol ? `${amount} ${token.symbol}` : amount;
+  };
+
+  const readRow = async (row) => {
+    if (row.type === "allowance") {
+      const value = await onRead(erc20Fn("function", "allowance"), [owner, row.spender]);
+      return { ...row, value, active: value > 0n };
+    }
+    if (row.type === "operator") {
+      const approved = await onRead(nftFn("function", "isApprovedForAll"), [owner, row.spender]);
+      return { ...row, value: approved, active: approved === true };
+    }
+
+    const [approved, tokenOwner] = await Promise.all([
+      onRead(nftFn("function", "getApproved"), [row.tokenId]),
+      onRead(nftFn("function", "ownerOf"), [row.tokenId]).catch(() => zeroAddress),
+    ]);
+    const active = approved !== zeroAddress && getAddress(tokenOwner) === getAddress(owner);
+    return { ...row, spender: approved, value: approved, active };
+  };
+
+  const collectRows = async (scanFrom) => {
+    const found = new Map();
+    const addRow = (row) => {
+      const key =
+        row.type === "token" ? `token:${row.tokenId}` : `${row.type}:${row.spender.toLowerCase()}`;
+      const existing = found.get(key);
+      if (!existing || (row.lastBlock ?? 0n) > (existing.lastBlock ?? 0n)) {
+        found.set(key, { ...row, key });
+      }
+    };
+    const scan = async (event) => {
+      const { logs } = await onQueryLogs(
+        event,
+        { owner },
+        scanFrom,
+        toBlock,
+        ({ cursor, toBlock: end }) =>
+          setMessage({ text: `正在扫描 ${event.name} 日志（${cursor} / ${end}）...`, type: "" })
+      );
+      return logs.filter((log) => log.args);
+    };
+
+    if (kind === "erc20") {
+      (await scan(erc20Fn("event", "Approval"))).forEach((log) =>
+        addRow({ type: "allowance", spender: log.args.spender, lastBlock: log.blockNumber })
+      );
+    } else {
+      (await scan(nftFn("event", "ApprovalForAll"))).forEach((log) =>
+        addRow({ type: "operator", spender: log.args.operator, lastBlock: log.blockNumber })
+      );
+      if (kind === "erc721") {
+        (await scan(nftFn("event", "Approval"))).forEach((log) =>
+          addRow({
+            type: "token",
+            tokenId: log.args.tokenId,
+            spender: log.args.approved,
+            lastBlock: log.blockNumber,
+          })
+        );
+      }
+    }
+
+    if (isAddress(manualSpender.trim())) {
+      addRow({
+        type: kind === "erc20" ? "allowance" : "operator",
+        spender: getAddress(manualSpender.trim()),
+        lastBlock: null,
+      });
+    }
+    return Array.from(found.values());
+  };
+
+  const handleScan = async () => {
+    if (!owner) {
+      setMessage({ text: "请先连接钱包。", type: "error" });
+      return;
+    }
+
+    setScanning(true);
+    setRows([]);
+    try {
+      if (kind === "erc20") {
+        const [decimals, symbol] = await Promise.all([
+          onRead(erc20Fn("function", "decimals"), []).catch(() => undefined),
+          onRead(erc20Fn("function", "symbol"), []).catch(() => ""),
+        ]);
+        setToken({
+          decimals: decimals === undefined ? undefined : Number(decimals),
+          symbol: String(symbol || ""),
+        });
+      }
+
+      setMessage({ text: "正在定位合约部署区块...", type: "" });
+      const deploymentBlock = await onGetDeploymentBlock();
+      const scanFrom = fromBlock.trim() || deploymentBlock.toString();
+      const partial = parseBlockInput(scanFrom, deploymentBlock) > deploymentBlock;
+
+      const candidates = await collectRows(scanFrom);
+      setMessage({ text: `正在读取 ${candidates.length} 项当前授权...`, type: "" });
+      const results = await mapWithConcurrency(candidates, APPROVAL_READ_CONCURRENCY, (row) =>
+        readRow(row).catch((error) => ({ ...row, error: error?.message || String(error) }))
+      );
+      results.sort((a, b) => Number(Boolean(b.active)) - Number(Boolean(a.active)));
+      setRows(results);
+
+      const activeCount = results.filter((row) => row.active).length;
+      const summary = results.length
+        ? `共 ${results.length} 项历史授权，其中 ${activeCount} 项仍然有效。`
+        : "未在该区块范围内找到授权记录。";
+      setMessage(
+        partial
+          ? {
+              text: `${summary}仅扫描了区块 ${scanFrom} 之后的日志，更早的授权不在结果中。`,
+              type: "error",
+            }
+          : { text: summary, type: "success" }
+      );
+    } catch (error) {
+      setMessage({
+        text: `扫描失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const sendApprovalTx = async (row, fn, args, description) => {
+    setBusyKey(row.key);
+    setMessage({ text: `${description}：正在模拟交易...`, type: "" });
+    try {
+      const preview = await onSimulate(fn, args, "", {});
+      setPendingTx({
+        row,
+        fn,
+        args,
+        pending: {
+          preview,
+          argSummary: describeCallArguments(buildParamNodes(fn.inputs), args, {}, {}),
+          valueEth: "",
+          overrides: {},
+          warnings: detectDangerousCall(fn, args, owner),
+        },
+      });
+      setMessage({ text: `${description}，请在确认窗口中核对交易。`, type: "" });
+    } catch (error) {
+      setMessage({
+        text: `模拟失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setBusyKey("");
+    }
+  };
+
+  const handleConfirmApprovalTx = async () => {
+    const { row, fn, args } = pendingTx;
+    setPendingTx(null);
+    setBusyKey(row.key);
+    setMessage({ text: "交易已提交到钱包，等待确认...", type: "" });
+    try {
+      const { hash, receiptPromise } = await onWrite(fn, args);
+      setMessage({ text: `交易已发送：${hash}，等待链上确认...`, type: "" });
+      const receipt = await receiptPromise;
+      const refreshed = await readRow(row);
+      setRows((prev) => prev.map((item) => (item.key === row.key ? refreshed : item)));
+      setMessage(
+        receipt.status === "success"
+          ? { text: "授权已更新。", type: "success" }
+          : { text: "交易已回滚，授权未变化。", type: "error" }
+      );
+    } catch (error) {
+      setMessage({
+        text: `交易失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setBusyKey("");
+    }
+  };
+
+  const handleRevoke = (row) => {
+    if (row.type === "allowance") {
+      sendApprovalTx(
+        row,
+        erc20Fn("function", "approve"),
+        [row.spender, 0n],
+        `撤销 ${row.spender} 的额度授权`
+      );
+      return;
+    }
+    if (row.type === "operator") {
+      sendApprovalTx(
+        row,
+        nftFn("function", "setApprovalForAll"),
+        [row.spender, false],
+        `撤销 ${row.spender} 的全部授权（setApprovalForAll false）`
+      );
+      return;
+    }
+    sendApprovalTx(
+      row,
+      nftFn("function", "approve"),
+      [zeroAddress, row.tokenId],
+      `撤销 token #${row.tokenId} 授权给 ${row.spender} 的权限`
+    );
+  };
+
+  const handleAdjust = (row) => {
+    const decimalsKnown = token.decimals !== undefined;
+    const input = window.prompt(
+      decimalsKnown
+        ? `请输入新的授权额度${token.symbol ? `（${token.symbol}）` : ""}，输入 max 表示无限`
+        : "无法读取代币 decimals，请输入最小单位的整数额度（不做精度换算），输入 max 表示无限",
+      row.value !== undefined && row.value < maxUint256 / 2n
+        ? formatAllowance(row.value).split(" ")[0]
+        : ""
+    );
+    if (input === null) return;
+
+    const trimmed = input.trim();
+    const fraction = trimmed.split(".")[1] || "";
+    if (trimmed.toLowerCase() !== "max") {
+      if (!decimalsKnown && !/^\d+$/.test(trimmed)) {
+        setMessage({ text: "代币 decimals 未知，授权额度需填写最小单位的整数。", type: "error" });
+        return;
+      }
+      if (decimalsKnown && fraction.length > token.decimals) {
+        setMessage({ text: `授权额度最多 ${token.decimals} 位小数。`, type: "error" });
+        return;
+      }
+    }
+
+    try {
+      const amount =
+        trimmed.toLowerCase() === "max"
+          ? maxUint256
+          : parseUnits(trimmed, decimalsKnown ? token.decimals : 0);
+      sendApprovalTx(
+        row,
+        erc20Fn("function", "approve"),
+        [row.spender, amount],
+        `将 ${row.spender} 的授权额度调整为 ${formatAllowance(amount)}`
+      );
+    } catch {
+      setMessage({ text: "授权额度格式不正确。", type: "error" });
+    }
+  };
+
+  const describeRow = (row) => {
+    if (row.error) return <span className="text-danger">{row.error}</span>;
+    if (row.type === "allowance") return `额度 ${formatAllowance(row.value)}`;
+    if (row.type === "operator") return row.active ? "全部 token 已授权" : "已撤销";
+    return row.active
+      ? `token #${row.tokenId.toString()} 已授权`
+      : `token #${row.tokenId.toString()} 已失效`;
+  };
+
+  return (
+    <div className="history-panel">
+      {pendingTx && (
+        <WriteConfirmModal
+          fn={pendingTx.fn}
+          pending={pendingTx.pending}
+          contractAddress={contractAddress}
+          targetChainId={targetChainId}
+          walletChainId={walletChainId}
+          signerNotice={signerNotice}
+          errorAbi={errorAbi}
+          busy={Boolean(busyKey)}
+          onConfirm={handleConfirmApprovalTx}
+          onCancel={() => {
+            setPendingTx(null);
+            setMessage({ text: "已取消发送。", type: "" });
+          }}
+        />
+      )}
+      <div className="method-meta">
+        {APPROVAL_KIND_LABELS[kind]} · 授权人 {owner || "未连接钱包"}
+      </div>
+      <div className="field-grid">
+        <label className="field">
+          <span>起始区块（留空则从合约部署区块开始扫描）</span>
+          <input
+            type="text"
+            value={fromBlock}
+            placeholder="部署区块"
+            onChange={(event) => setFromBlock(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span>结束区块</span>
+          <input
+            type="text"
+            value={toBlock}
+            placeholder="latest"
+            onChange={(event) => setToBlock(event.target.value)}
+          />
+        </label>
+      </div>
+      <label className="field">
+        <span>额外检查的{kind === "erc20" ? " spender" : " operator"} 地址（可选）</span>
+        <input
+          type="text"
+          value={manualSpender}
+          placeholder="0x..."
+          onChange={(event) => setManualSpender(event.target.value)}
+        />
+      </label>
+
+      <div className="actions">
+        <button className="btn primary" type="button" onClick={handleScan} disabled={scanning}>
+          {scanning ? "扫描中..." : "扫描授权"}
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      {rows.map((row) => (
+        <div className="history-item" key={row.key}>
+          <div className="log-row-header">
+            <span className="log-event-name">
+              {explorerRoot && row.spender !== zeroAddress ? (
+                <a href={`${explorerRoot}/address/${row.spender}`} target="_blank" rel="noopener">
+                  {row.spender}
+                </a>
+              ) : (
+                row.spender
+              )}
+            </span>
+            <span className={`status-badge ${row.active ? "pending" : "cancelled"}`}>
+              {row.active ? "有效" : "无效"}
+            </span>
+          </div>
+          <div className="method-meta">
+            {describeRow(row)}
+            {row.lastBlock !== null &&
+              row.lastBlock !== undefined &&
+              ` · 最近授权区块 ${row.lastBlock.toString()}`}
+          </div>
+          {row.active && (
+            <div className="actions">
+              <button
+                className="btn ghost tiny-btn danger-btn"
+                type="button"
+                onClick={() => handleRevoke(row)}
+                disabled={Boolean(busyKey)}
+              >
+                撤销
+              </button>
+              {row.type === "allowance" && (
+                <button
+                  className="btn ghost tiny-btn"
+                  type="button"
+                  onClick={() => handleAdjust(row)}
+                  disabled={Boolean(busyKey)}
+                >
+                  调整额度
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function isRoleGetter(item) {
+  return (
+    item.type === "function" &&
+    /_ROLE$/.test(item.name || "") &&
+    (item.inputs || []).length === 0 &&
+    item.outputs?.[0]?.type === "bytes32"
+  );
+}
+
+async function searchDeploymentBlock(client, address) {
+  const hasCode = async (blockNumber) => {
+    const code = await client.getCode({ address, blockNumber });
+    return Boolean(code && code !== "0x");
+  };
+
+  let low = 0n;
+  let high = await client.getBlockNumber();
+  if (!(await hasCode(high))) {
+    throw new Error("该地址当前没有合约代码。");
+  }
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (await hasCode(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1n;
+    }
+  }
+  return low;
+}
+
+function replayRoleLogs(logs) {
+  const members = new Map();
+  [...logs]
+    .sort((a, b) =>
+      a.blockNumber === b.blockNumber
+        ? (a.logIndex ?? 0) - (b.logIndex ?? 0)
+        : a.blockNumber < b.blockNumber
+          ? -1
+          : 1
+    )
+    .forEach((log) => {
+      if (!log.args) return;
+      const role = log.args.role.toLowerCase();
+      const account = getAddress(log.args.account);
+      if (!members.has(role)) members.set(role, new Map());
+      if (log.eventName === "RoleGranted") {
+        members.get(role).set(account, { grantedBy: log.args.sender, block: log.blockNumber });
+      } else {
+        members.get(role).delete(account);
+      }
+    });
+  return members;
+}
+
+function RoleExplorerPanel({
+  roleGetters,
+  account,
+  contractAddress,
+  targetChainId,
+  walletChainId,
+  signerNotice,
+  explorerBase,
+  errorAbi,
+  onQueryLogs,
+  onGetDeploymentBlock,
+  onRead,
+  onSimulate,
+  onWrite,
+}) {
+  const [fromBlock, setFromBlock] = useState("");
+  const [toBlock, setToBlock] = useState("");
+  const [roles, setRoles] = useState([]);
+  const [partialFrom, setPartialFrom] = useState(null);
+  const [grantInputs, setGrantInputs] = useState({});
+  const [pendingTx, setPendingTx] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", type: "" });
+  const explorerRoot = explorerBase ? explorerBase.replace(/\/$/, "") : "";
+  const roleFn = (type, name) => findAbiItem(ACCESS_CONTROL_ABI, type, name);
+
+  const resolveRoleNames = async () => {
+    const names = new Map([[zeroHash, "DEFAULT_ADMIN_ROLE"]]);
+    const declared = new Set([zeroHash]);
+    await Promise.all(
+      roleGetters.map(async (getter) => {
+        const hashed = keccak256(toBytes(getter.name));
+        const roleId = await onRead(getter, []).catch(() => null);
+        const resolved = typeof roleId === "string" ? roleId.toLowerCase() : hashed;
+        if (!names.has(hashed)) names.set(hashed, getter.name);
+        names.set(resolved, getter.name);
+        declared.add(resolved);
+      })
+    );
+    return { names, declared };
+  };
+
+  const loadRole = async (roleId, names, candidates) => {
+    const [adminRole, verified] = await Promise.all([
+      onRead(roleFn("function", "getRoleAdmin"), [roleId]).catch(() => null),
+      Promise.all(
+        Array.from(candidates, async ([account, info]) => ({
+          account,
+          ...info,
+          hasRole: await onRead(roleFn("function", "hasRole"), [roleId, account]).catch(() => null),
+        }))
+      ),
+    ]);
+
+    return {
+      id: roleId,
+      name: names.get(roleId) || "",
+      adminRole: adminRole ? adminRole.toLowerCase() : null,
+      adminName: adminRole ? names.get(adminRole.toLowerCase()) || "" : "",
+      members: verified.filter((member) => member.hasRole !== false),
+      stale: verified.filter((member) => member.hasRole === false).length,
+    };
+  };
+
+  const handleScan = async () => {
+    setScanning(true);
+    setRoles([]);
+    setPartialFrom(null);
+    try {
+      setMessage({ text: "正在定位合约部署区块...", type: "" });
+      const deploymentBlock = await onGetDeploymentBlock();
+      const scanFrom = fromBlock.trim() || deploymentBlock.toString();
+
+      setMessage({ text: "正在解析角色名称...", type: "" });
+      const { names, declared } = await resolveRoleNames();
+
+      const logs = [];
+      let scannedFrom = 0n;
+      for (const eventName of ["RoleGranted", "RoleRevoked"]) {
+        const result = await onQueryLogs(
+          roleFn("event", eventName),
+          undefined,
+          scanFrom,
+          toBlock,
+          ({ cursor, toBlock: end }) =>
+            setMessage({ text: `正在扫描 ${eventName} 日志（${cursor} / ${end}）...`, type: "" })
+        );
+        logs.push(...result.logs);
+        scannedFrom = result.fromBlock;
+      }
+
+      const members = replayRoleLogs(logs);
+      const roleIds = new Set([...declared, ...members.keys()]);
+
+      setMessage({ text: `正在校验 ${roleIds.size} 个角色的成员...`, type: "" });
+      const loaded = await Promise.all(
+        Array.from(roleIds, (roleId) => loadRole(roleId, names, members.get(roleId) || new Map()))
+      );
+      loaded.sort((a, b) => (a.id === zeroHash ? -1 : b.id === zeroHash ? 1 : 0));
+      setRoles(loaded);
+      const partial = scannedFrom > deploymentBlock;
+      setPartialFrom(partial ? scannedFrom : null);
+      setMessage({
+        text: `共 ${loaded.length} 个角色，${logs.length} 条授予/撤销日志（自区块 ${scannedFrom}）。`,
+        type: partial ? "error" : "success",
+      });
+    } catch (error) {
+      setMessage({
+        text: `扫描失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const sendRoleTx = async (role, functionName, member) => {
+    const fn = roleFn("function", functionName);
+    const args = [role.id, member];
+    const action = functionName === "grantRole" ? "授予" : "撤销";
+
+    setBusy(true);
+    setMessage({ text: `${action} ${role.name || role.id}：正在模拟交易...`, type: "" });
+    try {
+      const preview = await onSimulate(fn, args, "", {});
+      setPendingTx({
+        role,
+        fn,
+        args,
+        pending: {
+          preview,
+          argSummary: describeCallArguments(buildParamNodes(fn.inputs), args, {}, {}),
+          valueEth: "",
+          overrides: {},
+          warnings: detectDangerousCall(fn, args, account),
+        },
+      });
+      setMessage({ text: `${action} ${member}，请在确认窗口中核对交易。`, type: "" });
+    } catch (error) {
+      setMessage({
+        text: `模拟失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirmRoleTx = async () => {
+    const { role, fn, args } = pendingTx;
+    const [, member] = args;
+    const roleLabel = role.name || role.id;
+    const action = fn.name === "grantRole" ? "授予" : "撤销";
+    setPendingTx(null);
+    setBusy(true);
+    setMessage({ text: "交易已提交到钱包，等待确认...", type: "" });
+    try {
+      const { hash, receiptPromise } = await onWrite(fn, args);
+      setMessage({ text: `交易已发送：${hash}，等待链上确认...`, type: "" });
+      const receipt = await receiptPromise;
+      if (receipt.status !== "success") {
+        throw new Error("交易已回滚。");
+      }
+
+      const hasRole = await onRead(roleFn("function", "hasRole"), [role.id, member]);
+      setRoles((prev) =>
+        prev.map((item) => {
+          if (item.id !== role.id) return item;
+          const others = item.members.filter((entry) => entry.account !== member);
+          return {
+            ...item,
+            members: hasRole
+              ? [
+                  ...others,
+                  { account: member, grantedBy: "", block: receipt.blockNumber, hasRole },
+                ]
+              : others,
+          };
+        })
+      );
+      setGrantInputs((prev) => ({ ...prev, [role.id]: "" }));
+      setMessage({ text: `已${action} ${roleLabel}。`, type: "success" });
+    } catch (error) {
+      setMessage({
+        text: `交易失败：${error?.shortMessage || error?.message || error}`,
+        type: "error",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGrant = (role) => {
+    const account = String(grantInputs[role.id] || "").trim();
+    if (!isAddress(account)) {
+      setMessage({ text: "请填写正确的授予地址。", type: "error" });
+      return;
+    }
+    sendRoleTx(role, "grantRole", getAddress(account));
+  };
+
+  const renderAddress = (value) =>
+    explorerRoot ? (
+      <a href={`${explorerRoot}/address/${value}`} target="_blank" rel="noopener">
+        {value}
+      </a>
+    ) : (
+      value
+    );
+
+  return (
+    <div className="history-panel">
+      {pendingTx && (
+        <WriteConfirmModal
+          fn={pendingTx.fn}
+          pending={pendingTx.pending}
+          contractAddress={contractAddress}
+          targetChainId={targetChainId}
+          walletChainId={walletChainId}
+          signerNotice={signerNotice}
+          errorAbi={errorAbi}
+          busy={busy}
+          onConfirm={handleConfirmRoleTx}
+          onCancel={() => {
+            setPendingTx(null);
+            setMessage({ text: "已取消发送。", type: "" });
+          }}
+        />
+      )}
+      <div className="field-grid">
+        <label className="field">
+          <span>起始区块（留空则从合约部署区块开始扫描）</span>
+          <input
+            type="text"
+            value={fromBlock}
+            placeholder="部署区块"
+            onChange={(event) => setFromBlock(event.target.value)}
+          />
+        </label>
+        <label className="field">
+          <span>结束区块</span>
+          <input
+            type="text"
+            value={toBlock}
+            placeholder="latest"
+            onChange={(event) => setToBlock(event.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="actions">
+        <button className="btn primary" type="button" onClick={handleScan} disabled={scanning}>
+          {scanning ? "扫描中..." : "扫描角色"}
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+      {partialFrom !== null && (
+        <div className="danger-item">
+          仅扫描了区块 {partialFrom.toString()} 之后的日志，更早的授予记录（例如部署时授予的
+          DEFAULT_ADMIN_ROLE）不在结果中，成员列表不完整。
+        </div>
+      )}
+
+      {roles.map((role) => (
+        <div className="history-item" key={role.id}>
+          <div className="log-row-header">
+            <span className="log-event-name">{role.name || "未知角色"}</span>
+            <span className="pill">{role.members.length}</span>
+          </div>
+          <div className="method-meta">{role.id}</div>
+          <div className="method-meta">
+            管理角色：
+            {role.adminRole === null ? "读取失败" : role.adminName || role.adminRole}
+          </div>
+          {role.stale > 0 && (
+            <div className="method-meta">
+              {role.stale} 个日志中的成员经 hasRole 校验已不再持有该角色。
+            </div>
+          )}
+
+          <div className="log-args">
+            {role.members.map((member) => (
+              <div className="log-arg role-member" key={member.account}>
+                <span className="log-arg-value">{renderAddress(member.account)}</span>
+                {member.block !== undefined && member.block !== null && (
+                  <span className="method-meta">区块 {member.block.toString()}</span>
+                )}
+                <button
+                  className="btn ghost tiny-btn danger-btn"
+                  type="button"
+                  onClick={() => sendRoleTx(role, "revokeRole", member.account)}
+                  disabled={busy}
+                >
+                  撤销
+                </button>
+              </div>
+            ))}
+            {!role.members.length && (
+              <div className="log-empty">
+                {partialFrom !== null ? "扫描范围内未发现成员（结果不完整）。" : "暂无成员。"}
+              </div>
+            )}
+          </div>
+
+          <div className="role-grant">
+            <input
+              type="text"
+              value={grantInputs[role.id] || ""}
+              placeholder="授予地址 0x..."
+              onChange={(event) =>
+                setGrantInputs((prev) => ({ ...prev, [role.id]: event.target.value }))
+              }
+            />
+            <button
+              className="btn ghost tiny-btn"
+              type="button"
+              onClick={() => handleGrant(role)}
+              disabled={busy}
+            >
+              授予
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function toStorageSlotHex(slot) {
+  return numberToHex(slot, { size: 32 });
+}
+
+function parseStorageSlotInput(raw) {
+  const trimmed = String(raw ?? "").trim();
+  if (/^\d+$/.test(trimmed) || /^0x[0-9a-fA-F]{1,64}$/.test(trimmed)) {
+    return BigInt(trimmed);
+  }
+  throw new Error("存储槽格式不正确，请输入十进制整数或 0x 十六进制。");
+}
+
+function normalizeStorageWord(value) {
+  return pad(value && value !== "0x" ? value : "0x0", { size: 32 });
+}
+
+function extractStorageBytes(word, offset, size) {
+  const end = 64 - offset * 2;
+  return `0x${word.slice(2).slice(end - size * 2, end)}`;
+}
+
+function decodeStorageValue(typeInfo, word, offset) {
+  const size = Number(typeInfo.numberOfBytes);
+  const raw = extractStorageBytes(word, offset, size);
+  const label = typeInfo.label;
+
+  if (label === "bool") return BigInt(raw) !== 0n ? "true" : "false";
+  if (/^(address|contract )/.test(label)) return getAddress(raw);
+  if (/^(uint\d*|enum )/.test(label)) return BigInt(raw).toString();
+
+  const intMatch = label.match(/^int\d*$/);
+  if (intMatch) {
+    const bits = BigInt(size * 8);
+    let value = BigInt(raw);
+    if (value >= 1n << (bits - 1n)) value -= 1n << bits;
+    return value.toString();
+  }
+  return raw;
+}
+
+function extractStorageLayouts(json) {
+  const found = [];
+  const visit = (node, path, depth) => {
+    if (!node || typeof node !== "object" || depth > 8) return;
+    if (Array.isArray(node.storage) && "types" in node) {
+      found.push({
+        name: path.split("/").slice(-2).join(":") || "storageLayout",
+        layout: { storage: node.storage, types: node.types || {} },
+      });
+      return;
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      const nextPath = key === "storageLayout" ? path : path ? `${path}/${key}` : key;
+      visit(value, nextPath, depth + 1);
+    });
+  };
+  visit(json, "", 0);
+  return found;
+}
+
+function getArrayElementLocation(baseSlot, index, elementSize) {
+  if (elementSize <= 32) {
+    const perSlot = BigInt(Math.floor(32 / elementSize));
+    return { slot: baseSlot + index / perSlot, offset: Number(index % perSlot) * elementSize };
+  }
+  return { slot: baseSlot + index * BigInt(Math.ceil(elementSize / 32)), offset: 0 };
+}
+
+function computeMappingSlot(keyType, rawKey, baseSlot) {
+  const label = keyType?.label || "uint256";
+  let keyBytes;
+  if (label === "string") {
+    keyBytes = stringToHex(rawKey);
+  } else if (label === "bytes") {
+    if (!isHex(rawKey)) throw new Error("bytes 类型的 key 需为 0x 十六进制。");
+    keyBytes = rawKey;
+  } else {
+    let abiType = label;
+    if (/^(contract |address)/.test(label)) abiType = "address";
+    if (/^enum /.test(label)) abiType = "uint8";
+    keyBytes = encodeAbiParameters([{ type: abiType }], [parseInputValue(rawKey, abiType)]);
+  }
+  return BigInt(keccak256(concatHex([keyBytes, toStorageSlotHex(baseSlot)])));
+}
+
+function getStorageDataSlot(slot) {
+  return BigInt(keccak256(toStorageSlotHex(slot)));
+}
+
+function decodeStorageBytes(typeInfo, word, dataWords) {
+  const lastByte = parseInt(word.slice(-2), 16);
+  let length;
+  let data;
+  if (lastByte % 2 === 0) {
+    length = lastByte / 2;
+    data = word.slice(2, 2 + length * 2);
+  } else {
+    length = Number((BigInt(word) - 1n) / 2n);
+    if (!dataWords) return { length, value: null };
+    data = dataWords
+      .map((item) => item.slice(2))
+      .join("")
+      .slice(0, length * 2);
+  }
+
+  const hex = `0x${data}`;
+  const value = typeInfo.label === "string" ? hexToString(hex) : hex;
+  return { length, value, truncated: data.length < length * 2 };
+}
+
+function StorageEntryRow({ entry, types, words, slotErrors, onEnsureWords }) {
+  const [open, setOpen] = useState(false);
+  const [keyInput, setKeyInput] = useState("");
+  const [child, setChild] = useState(null);
+  const [error, setError] = useState("");
+  const typeInfo = types[entry.type] || {
+    label: entry.type,
+    encoding: "inplace",
+    numberOfBytes: "32",
+  };
+  const slotKey = entry.slot.toString();
+  const word = words[slotKey];
+  const slotError = slotErrors[slotKey];
+  const isStruct = Array.isArray(typeInfo.members);
+  const isStaticArray = typeInfo.encoding === "inplace" && Boolean(typeInfo.base);
+  const isContainer = isStruct || isStaticArray || typeInfo.encoding === "mapping";
+
+  useEffect(() => {
+    if (!isContainer) onEnsureWords([entry.slot]);
+  }, [slotKey, isContainer]);
+
+  const longBytesSlots = useMemo(() => {
+    if (typeInfo.encoding !== "bytes" || !word || parseInt(word.slice(-2), 16) % 2 === 0) {
+      return null;
+    }
+    const length = (BigInt(word) - 1n) / 2n;
+    const count = Math.min(Number((length + 31n) / 32n), MAX_STORAGE_BYTES_SLOTS);
+    const start = getStorageDataSlot(entry.slot);
+    return Array.from({ length: count }, (_, index) => start + BigInt(index));
+  }, [typeInfo.encoding, word, slotKey]);
+
+  useEffect(() => {
+    if (longBytesSlots) onEnsureWords(longBytesSlots);
+  }, [longBytesSlots]);
+
+  const childEntries = useMemo(() => {
+    if (!open) return [];
+    if (isStruct) {
+      return typeInfo.members.map((member) => ({
+        label: member.label,
+        slot: entry.slot + BigInt(member.slot),
+        offset: member.offset,
+        type: member.type,
+      }));
+    }
+    if (isStaticArray) {
+      const length = Number(typeInfo.label.match(/\[(\d+)\]$/)?.[1] || 0);
+      const elementSize = Number(types[typeInfo.base]?.numberOfBytes || 32);
+      return Array.from({ length: Math.min(length, MAX_STORAGE_ARRAY_PREVIEW) }, (_, index) => ({
+        label: `${entry.label}[${index}]`,
+        ...getArrayElementLocation(entry.slot, BigInt(index), elementSize),
+        type: typeInfo.base,
+      }));
+    }
+    return [];
+  }, [open, slotKey, entry.type]);
+
+  const handleLookup = () => {
+    setError("");
+    try {
+      const key = keyInput.trim();
+      if (!key) throw new Error(typeInfo.encoding === "mapping" ? "请填写 key。" : "请填写下标。");
+
+      if (typeInfo.encoding === "mapping") {
+        setChild({
+          label: `${entry.label}[${key}]`,
+          slot: computeMappingSlot(types[typeInfo.key], key, entry.slot),
+          offset: 0,
+          type: typeInfo.value,
+        });
+        return;
+      }
+
+      if (!/^\d+$/.test(key)) throw new Error("下标必须是整数。");
+      const index = BigInt(key);
+      const elementSize = Number(types[typeInfo.base]?.numberOfBytes || 32);
+      setChild({
+        label: `${entry.label}[${key}]`,
+        ...getArrayElementLocation(getStorageDataSlot(entry.slot), index, elementSize),
+        type: typeInfo.base,
+      });
+    } catch (lookupError) {
+      setChild(null);
+      setError(lookupError?.shortMessage || lookupError?.message || String(lookupError));
+    }
+  };
+
+  let valueText = "";
+  if (!isContainer) {
+    if (slotError) {
+      valueText = `读取失败：${slotError}`;
+    } else if (!word) {
+      valueText = "读取中...";
+    } else if (typeInfo.encoding === "dynamic_array") {
+      valueText = `length ${BigInt(word).toString()}`;
+    } else if (typeInfo.encoding === "bytes") {
+      const dataWords = longBytesSlots?.map((slot) => words[slot.toString()]);
+      const dataError = longBytesSlots
+        ?.map((slot) => slotErrors[slot.toString()])
+        .find(Boolean);
+      const decoded = decodeStorageBytes(
+        typeInfo,
+        word,
+        dataWords && dataWords.every(Boolean) ? dataWords : null
+      );
+      if (decoded.value !== null) {
+        valueText = `${decoded.value}${decoded.truncated ? " …（已截断）" : ""}`;
+      } else {
+        valueText = dataError
+          ? `length ${decoded.length}，读取失败：${dataError}`
+          : `length ${decoded.length}，读取中...`;
+      }
+    } else {
+      valueText = decodeStorageValue(typeInfo, word, entry.offset);
+    }
+  }
+
+  return (
+    <div className="storage-entry">
+      <div className="storage-entry-header">
+        {(isStruct || isStaticArray) && (
+          <button className="btn ghost tiny-btn" type="button" onClick={() => setOpen(!open)}>
+            {open ? "收起" : "展开"}
+          </button>
+        )}
+        <span className="log-event-name">{entry.label}</span>
+        <span className="method-meta">{typeInfo.label}</span>
+        <span className="method-meta">
+          slot {slotKey} · offset {entry.offset}
+        </span>
+      </div>
+      {valueText && <div className="storage-value">{valueText}</div>}
+
+      {(typeInfo.encoding === "mapping" || typeInfo.encoding === "dynamic_array") && (
+        <div className="role-grant">
+          <input
+            type="text"
+            value={keyInput}
+            placeholder={
+              typeInfo.encoding === "mapping"
+                ? `key（${types[typeInfo.key]?.label || "key"}）`
+                : "下标"
+            }
+            onChange={(event) => setKeyInput(event.target.value)}
+          />
+          <button className="btn ghost tiny-btn" type="button" onClick={handleLookup}>
+            计算槽位
+          </button>
+        </div>
+      )}
+      {error && <div className="text-danger">{error}</div>}
+
+      {(child || childEntries.length > 0) && (
+        <div className="storage-children">
+          {child && (
+            <StorageEntryRow
+              key={`${child.slot}:${child.offset}`}
+              entry={child}
+              types={types}
+              words={words}
+              slotErrors={slotErrors}
+              onEnsureWords={onEnsureWords}
+            />
+          )}
+          {childEntries.map((item) => (
+            <StorageEntryRow
+              key={`${item.label}:${item.slot}:${item.offset}`}
+              entry={item}
+              types={types}
+              words={words}
+              slotErrors={slotErrors}
+              onEnsureWords={onEnsureWords}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StorageInspectorPanel({ onReadSlot }) {
+  const [words, setWords] = useState({});
+  const [slotErrors, setSlotErrors] = useState({});
+  const [slotInput, setSlotInput] = useState("0");
+  const [slotCount, setSlotCount] = useState("1");
+  const [rawSlots, setRawSlots] = useState([]);
+  const [layoutText, setLayoutText] = useState("");
+  const [layouts, setLayouts] = useState([]);
+  const [layoutIndex, setLayoutIndex] = useState(0);
+  const [refreshToken, setRefreshToken] = useState(0);
+  const [message, setMessage] = useState({ text: "", type: "" });
+  const pendingSlotsRef = useRef(new Set());
+  const cacheRef = useRef({ words: {}, errors: {}, generation: 0 });
+  const readSlotRef = useRef(onReadSlot);
+  const layoutInputRef = useRef(null);
+  readSlotRef.current = onReadSlot;
+
+  const ensureWords = async (slots, force = false) => {
+    const cache = cacheRef.current;
+    const missing = slots.filter((slot) => {
+      const key = slot.toString();
+      return (
+        (force || !(key in cache.words || key in cache.errors)) &&
+        !pendingSlotsRef.current.has(key)
+      );
+    });
+    if (!missing.length) return;
+
+    const { generation } = cache;
+    const keys = missing.map((slot) => slot.toString());
+    keys.forEach((key) => pendingSlotsRef.current.add(key));
+    const results = await Promise.allSettled(missing.map((slot) => readSlotRef.current(slot)));
+    keys.forEach((key) => pendingSlotsRef.current.delete(key));
+    if (cacheRef.current.generation !== generation) return;
+
+    const nextWords = {};
+    const nextErrors = {};
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        nextWords[keys[index]] = normalizeStorageWord(result.value);
+      } else {
+        const error = result.reason;
+        nextErrors[keys[index]] = error?.shortMessage || error?.message || String(error);
+      }
+    });
+    const errors = { ...cacheRef.current.errors, ...nextErrors };
+    Object.keys(nextWords).forEach((key) => delete errors[key]);
+    cacheRef.current = {
+      ...cacheRef.current,
+      words: { ...cacheRef.current.words, ...nextWords },
+      errors,
+    };
+    setWords(cacheRef.current.words);
+    setSlotErrors(errors);
+
+    const failedCount = Object.keys(nextErrors).length;
+    if (failedCount) {
+      setMessage({
+        text: `${failedCount} 个存储槽读取失败，可点击“刷新全部”重试。`,
+        type: "error",
+      });
+    }
+  };
+
+  const handleReadRaw = () => {
+    try {
+      const start = parseStorageSlotInput(slotInput);
+      const count = Number(parseIntegerField(slotCount, "数量") ?? 1n);
+      if (count < 1 || count > MAX_STORAGE_RAW_SLOTS) {
+        throw new Error(`数量需在 1 到 ${MAX_STORAGE_RAW_SLOTS} 之间。`);
+      }
+      const slots = Array.from({ length: count }, (_, index) => start + BigInt(index));
+      setRawSlots(slots);
+      setMessage({ text: "", type: "" });
+      ensureWords(slots, true);
+    } catch (error) {
+      setMessage({ text: error?.message || String(error), type: "error" });
+    }
+  };
+
+  const applyLayoutText = (text) => {
+    setLayoutText(text);
+    if (!text.trim()) {
+      setLayouts([]);
+      return;
+    }
+    try {
+      const found = extractStorageLayouts(JSON.parse(text));
+      if (!found.length) {
+        throw new Error("未找到 storageLayout（需包含 storage 与 types 字段）。");
+      }
+      setLayouts(found);
+      setLayoutIndex(0);
+      setMessage({ text: `已解析 ${found.length} 个合约的存储布局。`, type: "success" });
+    } catch (error) {
+      setLayouts([]);
+      setMessage({ text: `存储布局解析失败：${error?.message || error}`, type: "error" });
+    }
+  };
+
+  const handleLayoutFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) applyLayoutText(await file.text());
+  };
+
+  const handleRefresh = () => {
+    cacheRef.current = { words: {}, errors: {}, generation: cacheRef.current.generation + 1 };
+    pendingSlotsRef.current.clear();
+    setWords({});
+    setSlotErrors({});
+    setRefreshToken((prev) => prev + 1);
+    if (rawSlots.length) ensureWords(rawSlots, true);
+  };
+
+  const activeLayout = layouts[layoutIndex]?.layout;
+
+  return (
+    <div className="history-panel">
+      <div className="dev-chain-section">
+        <h3>原始存储槽</h3>
+        <div className="field-grid">
+          <label className="field">
+            <span>起始槽位（十进制或 0x）</span>
+            <input
+              type="text"
+              value={slotInput}
+              onChange={(event) => setSlotInput(event.target.value)}
+            />
+          </label>
+          <label className="field">
+            <span>连续读取数量</span>
+            <input
+              type="text"
+              value={slotCount}
+              onChange={(event) => setSlotCount(event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="actions">
+          <button className="btn secondary" type="button" onClick={handleReadRaw}>
+            读取
+          </button>
+          <button className="btn ghost" type="button" onClick={handleRefresh}>
+            刷新全部
+          </button>
+        </div>
+        {rawSlots.map((slot) => {
+          const word = words[slot.toString()];
+          const slotError = slotErrors[slot.toString()];
+          let valueText = word ? `${word}（${BigInt(word).toString()}）` : "读取中...";
+          if (slotError) valueText = `读取失败：${slotError}`;
+          return (
+            <div className="log-arg" key={slot.toString()}>
+              <span className="log-arg-name">{toStorageSlotHex(slot)}</span>
+              <span className={slotError ? "log-arg-value text-danger" : "log-arg-value"}>
+                {valueText}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="dev-chain-section">
+        <h3>存储布局</h3>
+        <label className="field">
+          <span>粘贴 solc storageLayout 或 Foundry / Hardhat 构建产物 JSON</span>
+          <textarea
+            rows={4}
+            value={layoutText}
+            placeholder='{"storage":[...],"types":{...}}'
+            onChange={(event) => applyLayoutText(event.target.value)}
+          />
+        </label>
+        <div className="actions">
+          <button
+            className="btn ghost"
+            type="button"
+            onClick={() => layoutInputRef.current?.click()}
+          >
+            上传文件
+          </button>
+          <input
+            ref={layoutInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleLayoutFile}
+            style={{ display: "none" }}
+          />
+          {layouts.length > 1 && (
+            <select
+              value={layoutIndex}
+              onChange={(event) => setLayoutIndex(Number(event.target.value))}
+            >
+              {layouts.map((item, index) => (
+                <option value={index} key={`${item.name}-${index}`}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {activeLayout && (
+          <div className="storage-list" key={`${layoutIndex}:${refreshToken}`}>
+            {activeLayout.storage.map((item) => (
+              <StorageEntryRow
+                key={`${item.label}:${item.slot}:${item.offset}`}
+                entry={{
+                  label: item.label,
+                  slot: BigInt(item.slot),
+                  offset: Number(item.offset || 0),
+                  type: item.type,
+                }}
+                types={activeLayout.types}
+                words={words}
+                slotErrors={slotErrors}
+                onEnsureWords={ensureWords}
+              />
+            ))}
+            {!activeLayout.storage.length && <div className="log-empty">该合约没有存储变量。</div>}
+          </div>
+        )}
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+}
+
+function getOpcodeName(byte) {
+  if (byte >= 0x60 && byte <= 0x7f) return `PUSH${byte - 0x5f}`;
+  if (byte >= 0x80 && byte <= 0x8f) return `DUP${byte - 0x7f}`;
+  if (byte >= 0x90 && byte <= 0x9f) return `SWAP${byte - 0x8f}`;
+  if (byte >= 0xa0 && byte <= 0xa4) return `LOG${byte - 0xa0}`;
+  return EVM_OPCODE_NAMES[byte] || `UNKNOWN_0x${byte.toString(16).padStart(2, "0")}`;
+}
+
+function splitBytecodeMetadata(code) {
+  const hex = code.slice(2);
+  if (hex.length < 4) return { runtime: code, metadata: "" };
+
+  const metadataBytes = parseInt(hex.slice(-4), 16) + 2;
+  const start = hex.length - metadataBytes * 2;
+  if (start > 0 && /^a[1-6]/i.test(hex.slice(start, start + 2))) {
+    return { runtime: `0x${hex.slice(0, start)}`, metadata: `0x${hex.slice(start)}` };
+  }
+  return { runtime: code, metadata: "" };
+}
+
+function disassembleBytecode(code) {
+  const hex = code.slice(2);
+  const instructions = [];
+  for (let pc = 0; pc < hex.length / 2; pc += 1) {
+    const byte = parseInt(hex.slice(pc * 2, pc * 2 + 2), 16);
+    const name = getOpcodeName(byte);
+    const pushSize = byte >= 0x60 && byte <= 0x7f ? byte - 0x5f : 0;
+    const instruction = { pc, name };
+    if (pushSize) {
+      instruction.push = `0x${hex.slice((pc + 1) * 2, (pc + 1 + pushSize) * 2)}`;
+      pc += pushSize;
+    }
+    instructions.push(instruction);
+  }
+  return instructions;
+}
+
+function formatDisassembly(instructions) {
+  return instructions
+    .map(
+      (item) =>
+        `${item.pc.toString(16).padStart(4, "0")}  ${item.name}${item.push ? ` ${item.push}` : ""}`
+    )
+    .join("\n");
+}
+
+const SELECTOR_PUSH_OPCODES = new Set(["PUSH0", "PUSH1", "PUSH2", "PUSH3", "PUSH4"]);
+
+function extractDispatcherSelectors(instructions) {
+  const selectors = new Set();
+  instructions.forEach((item, index) => {
+    if (!SELECTOR_PUSH_OPCODES.has(item.name)) return;
+    const next = instructions[index + 1]?.name;
+    const afterNext = instructions[index + 2]?.name;
+    if (next === "EQ" || (next?.startsWith("DUP") && afterNext === "EQ")) {
+      selectors.add(`0x${(item.push || "0x").slice(2).padStart(8, "0").toLowerCase()}`);
+    }
+  });
+  return Array.from(selectors).sort();
+}
+
+function analyzeBytecode(code, abiFunctions) {
+  const { runtime, metadata } = splitBytecodeMetadata(code);
+  const instructions = disassembleBytecode(runtime);
+  const selectors = extractDispatcherSelectors(instructions);
+  const selectorSet = new Set(selectors);
+
+  const abiSelectors = new Map();
+  abiFunctions.forEach((fn) => {
+    abiSelectors.set(toFunctionSelector(fn).toLowerCase(), getFunctionSignature(fn));
+  });
+
+  return {
+    size: size(code),
+    hash: keccak256(code),
+    metadata,
+    instructions,
+    selectors,
+    matched: selectors.filter((selector) => abiSelectors.has(selector)).length,
+    abiOnly: Array.from(abiSelectors)
+      .filter(([selector]) => !selectorSet.has(selector))
+      .map(([selector, signature]) => ({ selector, signature })),
+    bytecodeOnly: selectors.filter((selector) => !abiSelectors.has(selector)),
+  };
+}
+
+function buildSignatureIndex(libraryAbis) {
+  const index = new Map();
+  const addFunction = (fn) => {
+    if (fn?.type !== "function") return;
+    let selector;
+    try {
+      selector = toFunctionSelector(fn).toLowerCase();
+    } catch {
+      return;
+    }
+    index.set(selector, fn);
+  };
+
+  parseAbi(BUNDLED_FUNCTION_SIGNATURES).forEach(addFunction);
+  libraryAbis.forEach((items) => items.forEach(addFunction));
+  return index;
+}
+
+function guessAbiFromBytecode(code, libraryAbis) {
+  const selectors = extractDispatcherSelectors(
+    disassembleBytecode(splitBytecodeMetadata(code).runtime)
+  );
+  const index = buildSignatureIndex(libraryAbis);
+  const abi = [];
+  const unknown = [];
+  selectors.forEach((selector) => {
+    const fn = index.get(selector);
+    if (fn) {
+      abi.push(fn);
+    } else {
+      unknown.push(selector);
+    }
+  });
+  return { abi, unknown, selectorCount: selectors.length };
+}
+
+function CodeViewerPanel({ targets, abiFunctions, isDiamond, onGetCode }) {
+  const [targetIndex, setTargetIndex] = useState(targets.length - 1);
+  const [code, setCode] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [showDisassembly, setShowDisassembly] = useState(false);
+  const [message, setMessage] = useState({ text: "", type: "" });
+  const target = targets[targetIndex] || targets[0];
+
+  const analysis = useMemo(
+    () => (code ? analyzeBytecode(code, abiFunctions) : null),
+    [code, abiFunctions]
+  );
+  const disassemblyText = useMemo(
+    () => (analysis && showDisassembly ? formatDisassembly(analysis.instructions) : ""),
+    [analysis, showDisassembly]
+  );
+
+  const loadCode = async () => {
+    setLoading(true);
+    setCode("");
+    setMessage({ text: "正在读取合约代码...", type: "" });
+    try {
+      const bytecode = await onGetCode(target.address);
+      if (!bytecode || bytecode === "0x") {
+        throw new Error("该地址没有合约代码（EOA 或已自毁）。");
+      }
+      setCode(bytecode);
+      setMessage({ text: "", type: "" });
+    } catch (error) {
+      setMessage({ text: error?.shortMessage || error?.message || String(error), type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (target) loadCode();
+  }, [target?.address]);
+
+  return (
+    <div className="history-panel">
+      <div className="actions">
+        {targets.length > 1 && (
+          <select
+            value={targetIndex}
+            onChange={(event) => setTargetIndex(Number(event.target.value))}
+          >
+            {targets.map((item, index) => (
+              <option value={index} key={item.address}>
+                {item.label} {shortAddress(item.address)}
+              </option>
+            ))}
+          </select>
+        )}
+        <button className="btn secondary" type="button" onClick={loadCode} disabled={loading}>
+          {loading ? "读取中..." : "重新读取"}
+        </button>
+      </div>
+
+      {message.text && <div className={`status ${message.type}`}>{message.text}</div>}
+
+      {analysis && (
+        <>
+          <div className="confirm-step">
+            <div className="confirm-row">
+              <span>地址</span>
+              <span className="confirm-value">{target.address}</span>
+            </div>
+            <div className="confirm-row">
+              <span>代码大小</span>
+              <span className="confirm-value">{analysis.size} 字节</span>
+            </div>
+            <div className="confirm-row">
+              <span>keccak256</span>
+              <span className="confirm-value">{analysis.hash}</span>
+            </div>
+            <div className="confirm-row">
+              <span>Solidity 元数据</span>
+              <span className="confirm-value">
+                {analysis.metadata ? `${size(analysis.metadata)} 字节（CBOR）` : "未检测到"}
+              </span>
+            </div>
+            <div className="confirm-row">
+              <span>分发器 selector</span>
+              <span className="confirm-value">
+                {analysis.selectors.length} 个，其中 {analysis.matched} 个与 ABI 匹配
+              </span>
+            </div>
+          </div>
+
+          {isDiamond && (
+            <div className="method-meta">
+              Diamond 合约的函数由 facet 实现，入口合约代码中通常不包含这些 selector。
+            </div>
+          )}
+
+          <div className="dev-chain-section">
+            <h3>ABI 中存在、字节码中未找到（{analysis.abiOnly.length}）</h3>
+            {analysis.abiOnly.length ? (
+              <div className="log-args">
+                {analysis.abiOnly.map((item) => (
+                  <div className="log-arg" key={item.selector}>
+                    <span className="log-arg-name">{item.selector}</span>
+                    <span className="log-arg-value text-danger">{item.signature}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="log-empty">ABI 中的函数均能在字节码中找到。</div>
+            )}
+          </div>
+
+          <div className="dev-chain-section">
+            <h3>字节码中存在、ABI 中缺失（{analysis.bytecodeOnly.length}）</h3>
+            {analysis.bytecodeOnly.length ? (
+              <div className="log-args">
+                {analysis.bytecodeOnly.map((selector) => (
+                  <div className="log-arg" key={selector}>
+                    <span className="log-arg-name">{selector}</span>
+                    <span className="log-arg-value">未知函数</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="log-empty">字节码中的 selector 均在 ABI 中。</div>
+            )}
+          </div>
+
+          <div className="dev-chain-section">
+            <div className="actions">
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={() => setShowDisassembly(!showDisassembly)}
+              >
+                {showDisassembly
+                  ? "隐藏反汇编"
+                  : `显示反汇编（${analysis.instructions.length} 条指令）`}
+              </button>
+            </div>
+            {showDisassembly && <pre className="code-view">{disassemblyText}</pre>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function WriteConfirmModal({
+  fn,
+  pending,
+  contractAddress,
+  targetChainId,
+  walletChainId,
+  signerNotice,
+  errorAbi,
+  busy,
+  onConfirm,
+  onCancel,
+}) {
+  const [allowRevertedSend, setAllowRevertedSend] = useState(false);
+  const { preview, argSummary, valueEth, overrides, warnings } = pending;
+  const signature = getFunctionSignature(fn);
+  const overrideLines = describeTxOverrides(overrides);
+  const reverted = Boolean(preview.error);
+  const chainMismatch = Boolean(targetChainId && walletChainId && targetChainId !== walletChainId);
+  const value = parsePayableValue(valueEth);
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-card confirm-modal">
+        <h3>确认交易</h3>
+
+        {warnings.length > 0 && (
+          <div className="danger-list">
+            {warnings.map((warning) => (
+              <div className="danger-item" key={warning}>
+                {warning}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="confirm-step">
+          <div className="confirm-row">
+            <span>目标合约</span>
+            <span className="confirm-value">{contractAddress}</span>
+          </div>
+          <div className="confirm-row">
+            <span>链 ID</span>
+            <span className={`confirm-value ${chainMismatch ? "text-danger" : ""}`}>
+              目标 {targetChainId || "-"} / 钱包 {walletChainId || "-"}
+            </span>
+          </div>
+          {chainMismatch && (
+            <div className="danger-item">钱包当前网络与目标链不一致，发送时会请求切换网络。</div>
+          )}
+          {signerNotice && <div className="danger-item">{signerNotice}</div>}
+          <div className="confirm-row">
+            <span>函数</span>
+            <span className="confirm-value">{signature}</span>
+          </div>
+          {argSummary.map((item) => (
+            <div className="confirm-row" key={item.key}>
+              <span>
+                {item.name} ({item.type})
+              </span>
+              <span className="confirm-value">
+                {item.value}
+                {item.scaling && <span className="confirm-scaling">{item.scaling}</span>}
+              </span>
+            </div>
+          ))}
+          {fn.stateMutability === "payable" && (
+            <div className="confirm-row">
+              <span>Value</span>
+              <span className="confirm-value">
+                {value !== undefined ? `${formatEther(value)}（${value.toString()} wei）` : "0"}
+              </span>
+            </div>
+          )}
+        </div>
+
+        <div className={`confirm-step ${reverted ? "reverted" : ""}`}>
+          <div className="confirm-row">
+            <span>模拟结果</span>
+            {reverted ? (
+              <span className="text-danger">回滚</span>
+            ) : preview.providerError ? (
+              <span className="text-danger">无法完成（RPC 错误）</span>
+            ) : (
+              <span className="text-success">成功</span>
+            )}
+          </div>
+          {reverted && <div className="output">{formatCallError(preview.error, errorAbi)}</div>}
+          {preview.providerError && (
+            <div className="output">
+              模拟或 Gas 估算请求失败，无法判断交易是否会回滚：
+              {preview.providerError?.shortMessage || preview.providerError?.message}
+            </div>
+          )}
+          {!reverted && !preview.providerError && (fn.outputs || []).length > 0 && (
+            <div className="confirm-row">
+              <span>返回值</span>
+              <span className="confirm-value">{stringifyResult(preview.result)}</span>
+            </div>
+          )}
+          <div className="confirm-row">
+            <span>Gas 估算</span>
+            <span className="confirm-value">
+              {preview.gas !== null ? preview.gas.toString() : "无法估算"}
+            </span>
+          </div>
+          <div className="confirm-row">
+            <span>Gas 单价</span>
+            <span className="confirm-value">
+              {preview.feePerGas !== null ? `预计 ${formatGwei(preview.feePerGas)} gwei` : "-"}
+              {preview.maxFeePerGas !== null &&
+                preview.maxFeePerGas !== preview.feePerGas &&
+                ` / 最高 ${formatGwei(preview.maxFeePerGas)} gwei`}
+            </span>
+          </div>
+          {overrideLines.length > 0 && (
+            <div className="confirm-row">
+              <span>自定义参数</span>
+              <span className="confirm-value">{overrideLines.join("\n")}</span>
+            </div>
+          )}
+          <div className="confirm-row">
+            <span>预计手续费</span>
+            <span className="confirm-value">
+              {preview.fee !== null ? `${formatEther(preview.fee)}（原生代币）` : "-"}
+            </span>
+          </div>
+          {preview.maxFee !== null && preview.maxFee !== preview.fee && (
+            <div className="confirm-row">
+              <span>最高手续费</span>
+              <span className="confirm-value">{formatEther(preview.maxFee)}（原生代币）</span>
+            </div>
+          )}
+          {reverted && (
+            <label className="export-item">
+              <input
+                type="checkbox"
+                checked={allowRevertedSend}
+                onChange={(event) => setAllowRevertedSend(event.target.checked)}
+              />
+              <span>忽略模拟失败，仍然发送</span>
+            </label>
+          )}
+        </div>
+
+        <div className="actions">
+          <button
+            className="btn primary"
+            type="button"
+            onClick={onConfirm}
+            disabled={busy || (reverted && !allowRevertedSend)}
+          >
+            确认发送
+          </button>
+          <button className="btn ghost" type="button" onClick={onCancel}>
+            取消
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MethodCard({
+  fn,
+  kind,
+  explorerBase,
+  contractAddress,
+  targetChainId,
+  walletChainId,
+  signerNotice,
+  account,
+  onRead,
+  onWrite,
+  onSimulate,
+  onSuggestOverrides,
+  onReplace,
+  onQueueSafe,
+  onQueueBatch,
+  onExportUnsigned,
+  onPersist,
+  methodStorageKey,
+  savedCallState,
+  txOverrides,
+  onOverridesChange,
+  source,
+  errorAbi,
+  eventAbi,
+  focusToken,
+}) {
+  const paramNodes = useMemo(() => buildParamNodes(fn.inputs || []), [fn]);
+
+  const normalizedSavedState = useMemo(
+    () => normalizeMethodDraftState(savedCallState, paramNodes),
+    [savedCallState, paramNodes]
+  );
+
+  const [fieldValues, setFieldValues] = useState(normalizedSavedState.values);
+  const [fieldExponents, setFieldExponents] = useState(normalizedSavedState.exponents);
+  const [tupleArrayRows, setTupleArrayRows] = useState(normalizedSavedState.tupleArrays);
+  const [payableValue, setPayableValue] = useState(normalizedSavedState.payableValue);
+  const [output, setOutput] = useState(
+    kind === "read" ? "调用结果将在此显示" : "交易状态将在此显示"
+  );
+  const [txHash, setTxHash] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [pendingWrite, setPendingWrite] = useState(null);
+  const [txPending, setTxPending] = useState(false);
+  const [receiptDetails, setReceiptDetails] = useState(null);
+  const [replacing, setReplacing] = useState(false);
+  const txTrackRef = useRef("");
+  const detailsRef = useRef(null);
+  const replacementModesRef = useRef({});
+  const signature = getFunctionSignature(fn);
+  const setTxOverrides = (update) => onOverridesChange(methodStorageKey, update);
+
+  useEffect(() => {
+    setFieldValues(normalizedSavedState.values);
+    setFieldExponents(normalizedSavedState.exponents);
+    setTupleArrayRows(normalizedSavedState.tupleArrays);
+    setPayableValue(normalizedSavedState.payableValue);
+  }, [normalizedSavedState]);
+
+  useEffect(() => {
+    if (!focusToken || !detailsRef.current) return;
+    detailsRef.current.open = true;
+    detailsRef.current.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [focusToken]);
+
+  const buildCurrentDraft = () => ({
+    values: { ...fieldValues },
+    exponents: { ...fieldExponents },
+    tupleArrays: JSON.parse(JSON.stringify(tupleArrayRows || {})),
+    payableValue,
+  });
+
+  const persistCurrentInputs = () => {
+    onPersist(methodStorageKey, buildCurrentDraft());
+  };
+
+  const handleValueChange = (key, value) => {
+    setFieldValues((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  const handleExponentChange = (key, value) => {
+    setFieldExponents((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  const handleTupleArrayValueChange = (tupleNode, rowIndex, fieldKey, value) => {
+    setTupleArrayRows((prev) => {
+      const tupleKey = tupleNode.key;
+      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
+      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+
+      while (rows.length <= rowIndex) {
+        rows.push(createTupleArrayRowDraft(tupleNode));
+      }
+
+      const targetRow = rows[rowIndex] || createTupleArrayRowDraft(tupleNode);
+      targetRow.values[fieldKey] = value;
+      rows[rowIndex] = targetRow;
+
+      return {
+        ...prev,
+        [tupleKey]: rows,
+      };
+    });
+  };
+
+  const handleTupleArrayExponentChange = (tupleNode, rowIndex, fieldKey, value) => {
+    setTupleArrayRows((prev) => {
+      const tupleKey = tupleNode.key;
+      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
+      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+
+      while (rows.length <= rowIndex) {
+        rows.push(createTupleArrayRowDraft(tupleNode));
+      }
+
+      const targetRow = rows[rowIndex] || createTupleArrayRowDraft(tupleNode);
+      targetRow.exponents[fieldKey] = value;
+      rows[rowIndex] = targetRow;
+
+      return {
+        ...prev,
+        [tupleKey]: rows,
+      };
+    });
+  };
+
+  const handleAddTupleArrayRow = (tupleNode) => {
+    setTupleArrayRows((prev) => {
+      const tupleKey = tupleNode.key;
+      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
+      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+      rows.push(createTupleArrayRowDraft(tupleNode));
+      return {
+        ...prev,
+        [tupleKey]: rows,
+      };
+    });
+  };
+
+  const handleRemoveTupleArrayRow = (tupleNode, rowIndex) => {
+    setTupleArrayRows((prev) => {
+      const tupleKey = tupleNode.key;
+      const previousRows = Array.isArray(prev[tupleKey]) ? prev[tupleKey] : [];
+      if (rowIndex < 0 || rowIndex >= previousRows.length) return prev;
+
+      const rows = previousRows.map((row) => sanitizeTupleArrayRow(row));
+      rows.splice(rowIndex, 1);
+
+      return {
+        ...prev,
+        [tupleKey]: rows,
+      };
+    });
+  };
+
+  const renderNode = (node, depth = 0, rowContext = null) => {
+    const displayName = node.name || `arg${node.path[node.path.length - 1] || 0}`;
+
+    if (node.kind === "tuple") {
+      return (
+        <div className="tuple-group" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
+          <div className="tuple-heading">
+            {displayName} ({node.type})
+          </div>
+          <div className="tuple-children">
+            {node.children.map((child) => renderNode(child, depth + 1, rowContext))}
+          </div>
+        </div>
+      );
+    }
+
+    if (node.kind === "tupleArray") {
+      const rows = Array.isArray(tupleArrayRows[node.key]) ? tupleArrayRows[node.key] : [];
+
+      return (
+        <div className="tuple-group" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
+          <div className="tuple-array-header">
+            <div className="tuple-heading">
+              {displayName} ({node.type})
+            </div>
+            <button
+              className="btn ghost tiny-btn"
+              type="button"
+              onClick={() => handleAddTupleArrayRow(node)}
+            >
+              新增一行
+            </button>
+          </div>
+
+          {rows.length === 0 ? (
+            <div className="tuple-array-empty">当前没有数据行，可点击“新增一行”。</div>
+          ) : (
+            <div className="tuple-array-rows">
+              {rows.map((row, rowIndex) => {
+                const safeRow = sanitizeTupleArrayRow(row);
+                const nextContext = {
+                  tupleNode: node,
+                  rowIndex,
+                  values: safeRow.values,
+                  exponents: safeRow.exponents,
+                };
+
+                return (
+                  <div className="tuple-array-row" key={`${node.key}-${rowIndex}`}>
+                    <div className="tuple-array-row-header">
+                      <span>第 {rowIndex + 1} 行</span>
+                      <button
+                        className="btn ghost tiny-btn danger-btn"
+                        type="button"
+                        onClick={() => handleRemoveTupleArrayRow(node, rowIndex)}
+                      >
+                        删除
+                      </button>
+                    </div>
+                    <div className="tuple-children">
+                      {node.children.map((child) => renderNode(child, depth + 1, nextContext))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    const scopedValues = rowContext ? rowContext.values : fieldValues;
+    const scopedExponents = rowContext ? rowContext.exponents : fieldExponents;
+    const value = scopedValues[node.key] ?? "";
+    const exponent = Number(scopedExponents[node.key] || 0);
+
+    const handleScopedValueChange = (nextValue) => {
+      if (rowContext) {
+        handleTupleArrayValueChange(rowContext.tupleNode, rowContext.rowIndex, node.key, nextValue);
+        return;
+      }
+      handleValueChange(node.key, nextValue);
+    };
+
+    const handleScopedExponentChange = (nextValue) => {
+      if (rowContext) {
+        handleTupleArrayExponentChange(
+          rowContext.tupleNode,
+          rowContext.rowIndex,
+          node.key,
+          nextValue
+        );
+        return;
+      }
+      handleExponentChange(node.key, nextValue);
+    };
+
+    return (
+      <div className="param" key={node.key} style={{ marginLeft: depth > 0 ? 12 : 0 }}>
+        <label>
+          {displayName} ({node.type})
+        </label>
+        {SCALE_TYPES.has(node.type) ? (
+          <div className="input-with-addon">
+            <input
+              type="text"
+              placeholder={
+                node.type.includes("[]") || node.type.startsWith("tuple")
+                  ? "JSON 格式"
+                  : "输入参数"
+              }
+              value={value}
+              onChange={(event) => handleScopedValueChange(event.target.value)}
+            />
+            <select
+              className="addon-select"
+              value={exponent}
+              onChange={(event) => handleScopedExponentChange(Number(event.target.value))}
+            >
+              {EXPONENT_OPTIONS.map((exp) => (
+                <option key={exp} value={exp}>
+                  10^{exp}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <input
+            type="text"
+            placeholder={
+              node.type.includes("[]") || node.type.startsWith("tuple")
+                ? "JSON 格式"
+                : "输入参数"
+            }
+            value={value}
+            onChange={(event) => handleScopedValueChange(event.target.value)}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const handleOverrideChange = (key, value) => {
+    setTxOverrides((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  const handlePrefillOverrides = async () => {
+    setLoading(true);
+    setOutput("正在获取网络建议值...");
+
+    let parsedArgs = null;
+    try {
+      parsedArgs = paramNodes.map((node) =>
+        buildNodeCallValue(node, fieldValues, fieldExponents, tupleArrayRows)
+      );
+    } catch {
+      parsedArgs = null;
+    }
+
+    try {
+      const suggestion = await onSuggestOverrides(fn, parsedArgs, payableValue);
+      setTxOverrides((prev) => ({ ...prev, ...suggestion }));
+      setOutput(
+        parsedArgs
+          ? "已填入网络建议值。"
+          : "已填入网络建议值（参数不完整，未估算 Gas Limit）。"
+      );
+    } catch (error) {
+      setOutput(`获取建议值失败：${error?.message || error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCall = async () => {
+    persistCurrentInputs();
+    setLoading(true);
+    setOutput(kind === "read" ? "正在调用..." : "正在模拟交易...");
+    setTxHash("");
+    setReceiptDetails(null);
+    setPendingWrite(null);
+
+    try {
+      const parsedArgs = paramNodes.map((node) =>
+        buildNodeCallValue(node, fieldValues, fieldExponents, tupleArrayRows)
+      );
+
+      if (kind === "read") {
+        const result = await onRead(fn, parsedArgs);
+        setOutput(stringifyResult(result));
+        return;
+      }
+
+      const overrides = parseTxOverrides(txOverrides);
+      const preview = await onSimulate(fn, parsedArgs, payableValue, overrides);
+      setPendingWrite({
+        args: parsedArgs,
+        draft: buildCurrentDraft(),
+        valueEth: payableValue,
+        overrides,
+        preview,
+        argSummary: describeCallArguments(
+          paramNodes,
+          parsedArgs,
+          fieldValues,
+          fieldExponents,
+          tupleArrayRows
+        ),
+        warnings: detectDangerousCall(fn, parsedArgs, account),
+      });
+      setOutput(
+        preview.error
+          ? "模拟执行失败，交易很可能会回滚。"
+          : preview.providerError
+          ? "模拟请求失败（RPC 错误），请核对后再决定是否发送。"
+          : "模拟执行成功，请确认后发送交易。"
+      );
+    } catch (error) {
+      setOutput(formatCallError(error, errorAbi));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const followReceipt = async (hash, receiptPromise) => {
+    txTrackRef.current = hash;
+    setTxHash(hash);
+    setTxPending(true);
+
+    try {
+      const receipt = await receiptPromise;
+      if (txTrackRef.current !== hash) return;
+      txTrackRef.current = "";
+      setTxPending(false);
+
+      if (!receipt) {
+        setOutput("交易已发送。请稍后在区块浏览器查看。");
+        return;
+      }
+
+      setTxHash(receipt.transactionHash);
+      setReceiptDetails({
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+        logs: decodeReceiptLogs(receipt.logs, eventAbi),
+      });
+      const replacementMode = replacementModesRef.current[receipt.transactionHash];
+      if (replacementMode === "cancel") {
+        setOutput(
+          receipt.status === "success"
+            ? "原交易已取消（0 值自转账已确认）。"
+            : "取消交易已确认，但可能失败。"
+        );
+        return;
+      }
+
+      const replacementReason = receipt.replacement?.reason;
+      const replacedNote = replacementReason
+        ? `（原交易已被替换：${REPLACEMENT_REASON_LABELS[replacementReason] || replacementReason}）`
+        : replacementMode === "speedup"
+        ? "（已加速）"
+        : "";
+      setOutput(
+        receipt.status === "success"
+          ? `交易已确认成功。${replacedNote}`
+          : `交易已确认，但可能失败。${replacedNote}`
+      );
+    } catch (error) {
+      if (txTrackRef.current !== hash) return;
+      txTrackRef.current = "";
+      setTxPending(false);
+      setOutput(formatCallError(error, errorAbi));
+    }
+  };
+
+  const handleConfirmWrite = async () => {
+    if (!pendingWrite) return;
+    const { args, draft, valueEth, overrides } = pendingWrite;
+    setPendingWrite(null);
+    setLoading(true);
+    setOutput("正在发送交易...");
+
+    try {
+      const { hash, receiptPromise } = await onWrite(fn, args, valueEth, overrides, {
+        methodKey: methodStorageKey,
+        draft,
+      });
+      setOutput("交易已发送，等待链上确认...");
+      await followReceipt(hash, receiptPromise);
+    } catch (error) {
+      setOutput(formatCallError(error, errorAbi));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReplaceTx = async (mode) => {
+    const currentHash = txTrackRef.current;
+    if (!currentHash) return;
+    if (
+      mode === "cancel" &&
+      !window.confirm("确认取消该交易？将使用相同 nonce 发送一笔 0 值自转账。")
+    ) {
+      return;
+    }
+
+    setReplacing(true);
+    try {
+      const { hash, receiptPromise } = await onReplace(currentHash, mode);
+      replacementModesRef.current[hash] = mode;
+      txTrackRef.current = hash;
+      setOutput(
+        mode === "cancel" ? "已发送取消交易，等待确认..." : "已发送加速交易，等待确认..."
+      );
+      followReceipt(hash, receiptPromise);
+    } catch (error) {
+      setOutput(`${mode === "cancel" ? "取消" : "加速"}失败：${error?.message || error}`);
+    } finally {
+      setReplacing(false);
+    }
+  };
+
+  const handleQueueCall = (onQueue, queueLabel) => {
+    persistCurrentInputs();
+
+    try {
+      const parsedArgs = paramNodes.map((node) =>
+        buildNodeCallValue(node, fieldValues, fieldExponents, tupleArrayRows)
+      );
+      const queueSize = onQueue(fn, parsedArgs, payableValue, {
+        methodKey: methodStorageKey,
+        draft: buildCurrentDraft(),
+      });
+      setOutput(`已加入${queueLabel}（当前共 ${queueSize} 笔）。`);
+    } catch (error) {
+      setOutput(`加入${queueLabel}失败：${error?.message || error}`);
+    }
+  };
+
+  const handleExportUnsigned = async () => {
+    persistCurrentInputs();
+    setLoading(true);
+    setOutput("正在构建未签名交易...");
+
+    try {
+      const parsedArgs = paramNodes.map((node) =>
+        buildNodeCallValue(node, fieldValues, fieldExponents, tupleArrayRows)
+      );
+      const overrides = parseTxOverrides(txOverrides);
+      const { nonce, gas } = await onExportUnsigned(fn, parsedArgs, payableValue, overrides);
+      setOutput(`已导出未签名交易（JSON 与 RLP），nonce ${nonce}，Gas Limit ${gas}。`);
+    } catch (error) {
+      setOutput(`导出未签名交易失败：${error?.shortMessage || error?.message || error}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelWrite = () => {
+    setPendingWrite(null);
+    setOutput("已取消发送。");
+  };
+
+  return (
+    <details className="method-card" ref={detailsRef}>
+      <summary>
+        <div className="method-title">
+          <span>{fn.name}</span>
+          {source && METHOD_SOURCE_LABELS[source] && (
+            <span className={`source-badge ${source}`}>{METHOD_SOURCE_LABELS[source]}</span>
+          )}
+        </div>
+        <span className="method-meta">{signature}</span>
+      </summary>
+
+      <div className="method-body">
+        {source === "guessed" && (
+          <div className="method-meta text-danger">
+            该函数签名根据字节码 selector 推测，参数与返回类型可能与实际合约不符。
+          </div>
+        )}
+        {paramNodes.length > 0 && (
+          <div className="param-grid">{paramNodes.map((node) => renderNode(node))}</div>
+        )}
+
+        {kind === "write" && fn.stateMutability === "payable" && (
+          <div className="param">
+            <label>Value (ETH)</label>
+            <input
+              type="text"
+              placeholder="0.0"
+              value={payableValue}
+              onChange={(event) => setPayableValue(event.target.value)}
+            />
+          </div>
+        )}
+
+        {kind === "write" && (
+          <details className="advanced-section">
+            <summary>高级设置（Gas / 手续费 / Nonce）</summary>
+            <div className="advanced-body">
+              <div className="field-grid">
+                <div className="param">
+                  <label>Gas Limit</label>
+                  <input
+                    type="text"
+                    placeholder="自动估算"
+                    value={txOverrides.gas}
+                    onChange={(event) => handleOverrideChange("gas", event.target.value)}
+                  />
+                </div>
+                <div className="param">
+                  <label>Nonce</label>
+                  <input
+                    type="text"
+                    placeholder="自动"
+                    value={txOverrides.nonce}
+                    onChange={(event) => handleOverrideChange("nonce", event.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div className="param">
+                <label>手续费模式</label>
+                <select
+                  value={txOverrides.feeMode}
+                  onChange={(event) => handleOverrideChange("feeMode", event.target.value)}
+                >
+                  <option value="auto">自动（由钱包决定）</option>
+                  <option value="legacy">Legacy（gasPrice）</option>
+                  <option value="eip1559">EIP-1559（maxFee / priorityFee）</option>
+                </select>
+              </div>
+
+              {txOverrides.feeMode === "legacy" && (
+                <div className="param">
+                  <label>Gas Price (gwei)</label>
+                  <input
+                    type="text"
+                    placeholder="0"
+                    value={txOverrides.gasPrice}
+                    onChange={(event) => handleOverrideChange("gasPrice", event.target.value)}
+                  />
+                </div>
+              )}
+
+              {txOverrides.feeMode === "eip1559" && (
+                <div className="field-grid">
+                  <div className="param">
+                    <label>Max Fee (gwei)</label>
+                    <input
+                      type="text"
+                      placeholder="0"
+                      value={txOverrides.maxFeePerGas}
+                      onChange={(event) => handleOverrideChange("maxFeePerGas", event.target.value)}
+                    />
+                  </div>
+                  <div className="param">
+                    <label>Max Priority Fee (gwei)</label>
+                    <input
+                      type="text"
+                      placeholder="0"
+                      value={txOverrides.maxPriorityFeePerGas}
+                      onChange={(event) =>
+                        handleOverrideChange("maxPriorityFeePerGas", event.target.value)
+                      }
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="actions">
+                <button
+                  className="btn ghost tiny-btn"
+                  type="button"
+                  onClick={handlePrefillOverrides}
+                  disabled={loading}
+                >
+                  填入网络建议值
+                </button>
+                <button
+                  className="btn ghost tiny-btn"
+                  type="button"
+                  onClick={() => setTxOverrides(EMPTY_TX_OVERRIDES)}
+                >
+                  恢复自动
+                </button>
+              </div>
+            </div>
+          </details>
+        )}
+
+        <div className="actions">
+          <button className="btn secondary" onClick={handleCall} disabled={loading}>
+            {kind === "read" ? "调用" : "发起交易"}
+          </button>
+          {kind === "write" && (
+            <>
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={() => handleQueueCall(onQueueBatch, "批量队列")}
+              >
+                加入批量队列
+              </button>
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={() => handleQueueCall(onQueueSafe, " Safe 队列")}
+              >
+                加入 Safe 队列
+              </button>
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={handleExportUnsigned}
+                disabled={loading}
+              >
+                导出未签名交易
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="output">{output}</div>
+
+        {kind === "write" && pendingWrite && (
+          <WriteConfirmModal
+            fn={fn}
+            pending={pendingWrite}
+            contractAddress={contractAddress}
+            targetChainId={targetChainId}
+            walletChainId={walletChainId}
+            signerNotice={signerNotice}
+            errorAbi={errorAbi}
+            busy={loading}
+            onConfirm={handleConfirmWrite}
+            onCancel={handleCancelWrite}
+          />
+        )}
+
+        {kind === "write" && (
+          <div className="tx-row">
+            <span className="tx-hash">{txHash}</span>
+            {txHash && explorerBase && (
+              <a
+                className="btn ghost"
+                href={`${explorerBase.replace(/\/$/, "")}/tx/${txHash}`}
+                target="_blank"
+                rel="noopener"
+              >
+                查看交易
+              </a>
+            )}
+            {txPending && (
+              <>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => handleReplaceTx("speedup")}
+                  disabled={replacing}
+                >
+                  加速
+                </button>
+                <button
+                  className="btn ghost danger-btn"
+                  type="button"
+                  onClick={() => handleReplaceTx("cancel")}
+                  disabled={replacing}
+                >
+                  取消交易
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {kind === "write" && receiptDetails && (
+          <div className="receipt-details">
+            <div className="confirm-row">
+              <span>区块</span>
+              <span className="confirm-value">{receiptDetails.blockNumber?.toString()}</span>
+            </div>
+            <div className="confirm-row">
+              <span>Gas 消耗</span>
+              <span className="confirm-value">{receiptDetails.gasUsed?.toString()}</span>
+            </div>
+            {typeof receiptDetails.effectiveGasPrice === "bigint" && (
+              <div className="confirm-row">
+                <span>实际 Gas 单价</span>
+                <span className="confirm-value">
+                  {formatGwei(receiptDetails.effectiveGasPrice)} gwei
+                </span>
+              </div>
+            )}
+            {typeof receiptDetails.effectiveGasPrice === "bigint" &&
+              typeof receiptDetails.gasUsed === "bigint" && (
+                <div className="confirm-row">
+                  <span>实际手续费</span>
+                  <span className="confirm-value">
+                    {formatEther(receiptDetails.gasUsed * receiptDetails.effectiveGasPrice)}
+                    （原生代币）
+                  </span>
+                </div>
+              )}
+            <div className="receipt-logs-title">事件日志（{receiptDetails.logs.length}）</div>
+            <DecodedLogList
+              logs={receiptDetails.logs}
+              explorerBase={explorerBase}
+              emptyText="该交易没有产生事件。"
+              showEmitter
+            />
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default function App() {
+  const [rpcListText, setRpcListText] = useState(DEFAULTS.rpcList);
+  const [selectedRpc, setSelectedRpc] = useState(DEFAULTS.rpcList);
+  const [explorerBase, setExplorerBase] = useState(DEFAULTS.explorerBase);
+  const [explorerApi, setExplorerApi] = useState(DEFAULTS.explorerApi);
+  const [explorerApiKey, setExplorerApiKey] = useState(DEFAULTS.explorerApiKey);
+  const [chainId, setChainId] = useState(DEFAULTS.chainId);
+  const [contractAddress, setContractAddress] = useState(DEFAULTS.contractAddress);
+  const [abiText, setAbiText] = useState(DEFAULTS.abi);
+  const [readMethods, setReadMethods] = useState([]);
+  const [writeMethods, setWriteMethods] = useState([]);
+  const [proxyInfo, setProxyInfo] = useState(null);
+  const [diamondFacets, setDiamondFacets] = useState(null);
+  const [contractAbi, setContractAbi] = useState([]);
+  const [contractSummary, setContractSummary] = useState(null);
+  const [activeTab, setActiveTab] = useState("read");
+  const [status, setStatus] = useState({ message: "", type: "" });
+
+  const [templates, setTemplates] = useState([]);
+  const [activeTemplateId, setActiveTemplateId] = useState("");
+  const [templateNameInput, setTemplateNameInput] = useState("");
+  const [methodDrafts, setMethodDrafts] = useState({});
+  const [methodOverrides, setMethodOverrides] = useState({});
+  const [isTemplateMenuOpen, setIsTemplateMenuOpen] = useState(false);
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [exportSelection, setExportSelection] = useState({});
+  const [txHistory, setTxHistory] = useState([]);
+  const [methodFocus, setMethodFocus] = useState({ key: "", token: 0 });
+  const [safeQueue, setSafeQueue] = useState([]);
+  const [batchQueue, setBatchQueue] = useState([]);
+  const batchQueueRef = useRef([]);
+  const [devSigner, setDevSigner] = useState(null);
+  const [productionListText, setProductionListText] = useState(
+    () =>
+      localStorage.getItem(PRODUCTION_LIST_STORAGE_KEY) ?? DEFAULT_PRODUCTION_CHAIN_IDS.join(", ")
+  );
+  const productionList = useMemo(
+    () => parseProductionList(productionListText),
+    [productionListText]
+  );
+  const [devNode, setDevNode] = useState(null);
+  const [impersonatedSender, setImpersonatedSender] = useState("");
+
+  const { isConnected, address } = useAccount();
+  const walletChainId = useChainId();
+  const { data: walletClient } = useWalletClient();
+
+  const templateMenuRef = useRef(null);
+  const importInputRef = useRef(null);
+  const autoSwitchRef = useRef("");
+  const summaryRequestRef = useRef(0);
+  const deploymentBlocksRef = useRef(new Map());
+
+  const rpcOptions = useMemo(() => parseRpcList(rpcListText), [rpcListText]);
+  const parsedChainId = useMemo(() => parseChainIdValue(chainId), [chainId]);
+
+  const nftUriFn = useMemo(() => {
+    const functions = [...contractAbi, ...readMethods.map((entry) => entry.fn)];
+    const findFunction = (signature) =>
+      functions.find(
+        (item) => item.type === "function" && getFunctionSignature(item) === signature
+      );
+    const uriFn = findFunction("tokenURI(uint256)") || findFunction("uri(uint256)");
+    if (uriFn) return uriFn;
+
+    const standardIds = (contractSummary?.standards || []).map((item) => item.id);
+    if (standardIds.includes("erc1155")) {
+      return NFT_METADATA_ABI.find((item) => item.name === "uri");
+    }
+    if (standardIds.includes("erc721")) {
+      return NFT_METADATA_ABI.find((item) => item.name === "tokenURI");
+    }
+    return null;
+  }, [contractAbi, readMethods, contractSummary]);
+
+  const approvalKind = useMemo(
+    () =>
+      detectApprovalKind(contractSummary?.standards, [
+        ...contractAbi,
+        ...readMethods.map((entry) => entry.fn),
+      ]),
+    [contractAbi, readMethods, contractSummary]
+  );
+
+  const roleInfo = useMemo(() => {
+    const functions = [...contractAbi, ...readMethods.map((entry) => entry.fn)].filter(
+      (item) => item.type === "function"
+    );
+    const signatures = new Set(functions.map(getFunctionSignature));
+    const supported =
+      (contractSummary?.standards || []).some((item) => item.id === "accessControl") ||
+      (signatures.has("hasRole(bytes32,address)") && signatures.has("getRoleAdmin(bytes32)"));
+    if (!supported) return null;
+
+    const getters = new Map();
+    functions.filter(isRoleGetter).forEach((item) => getters.set(item.name, item));
+    return { getters: Array.from(getters.values()) };
+  }, [contractAbi, readMethods, contractSummary]);
+
+  const abiFunctions = useMemo(() => {
+    const functions = new Map();
+    [
+      ...contractAbi,
+      ...readMethods.map((entry) => entry.fn),
+      ...writeMethods.map((entry) => entry.fn),
+    ]
+      .filter((item) => item.type === "function")
+      .forEach((item) => functions.set(getFunctionSignature(item), item));
+    return Array.from(functions.values());
+  }, [contractAbi, readMethods, writeMethods]);
+
+  const abiEvents = useMemo(
+    () => contractAbi.filter((item) => item.type === "event" && item.name),
+    [contractAbi]
+  );
+
+  const abiErrors = useMemo(
+    () => contractAbi.filter((item) => item.type === "error" && item.name),
+    [contractAbi]
+  );
+
+  const activeTemplate = useMemo(
+    () => templates.find((item) => item.id === activeTemplateId) || null,
+    [templates, activeTemplateId]
+  );
+
+  useEffect(() => {
+    setTemplates(loadTemplatesFromStorage());
+    setTxHistory(loadTxHistoryFromStorage());
+  }, []);
+
+  useEffect(() => {
+    if (!selectedRpc || !rpcOptions.includes(selectedRpc)) {
+      setSelectedRpc(rpcOptions[0] || "");
+    }
+  }, [rpcOptions, selectedRpc]);
+
+  useEffect(() => {
+    if (!isTemplateMenuOpen) return undefined;
+
+    const handleOutsideClick = (event) => {
+      if (templateMenuRef.current && !templateMenuRef.current.contains(event.target)) {
+        setIsTemplateMenuOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleOutsideClick);
+    return () => {
+      document.removeEventListener("mousedown", handleOutsideClick);
+    };
+  }, [isTemplateMenuOpen]);
+
+  const publicClient = useMemo(() => {
+    if (!selectedRpc) return null;
+    return createPublicClient({ transport: createRpcTransport(selectedRpc) });
+  }, [selectedRpc]);
+
+  const testClient = useMemo(() => {
+    if (!devNode || !selectedRpc) return null;
+    return createTestClient({
+      mode: devNode.mode,
+      transport: createRpcTransport(selectedRpc),
+    }).extend(publicActions);
+  }, [devNode, selectedRpc]);
+
+  const visibleTabs = useMemo(
+    () =>
+      CONTENT_TABS.filter(
+        (tab) =>
+          (!tab.devOnly || devNode) &&
+          (!tab.nftOnly || nftUriFn) &&
+          (!tab.approvalOnly || approvalKind) &&
+          (!tab.rolesOnly || roleInfo)
+      ),
+    [devNode, nftUriFn, approvalKind, roleInfo]
+  );
+
+  useEffect(() => {
+    if (!visibleTabs.some((tab) => tab.id === activeTab)) {
+      setActiveTab("read");
+    }
+  }, [visibleTabs, activeTab]);
+
+  useEffect(() => {
+    setDevNode(null);
+    if (!publicClient) return undefined;
+
+    let cancelled = false;
+    detectDevNode(publicClient).then((node) => {
+      if (!cancelled) setDevNode(node);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [publicClient]);
+
+  const impersonating = Boolean(devNode && isAddress(impersonatedSender.trim()));
+  const signerAddress = impersonating
+    ? getAddress(impersonatedSender.trim())
+    : devSigner
+      ? devSigner.account.address
+      : address;
+
+  let signerNotice = "";
+  if (impersonating && !IMPERSONATION_NODE_MODES.includes(devNode.mode)) {
+    signerNotice = `${devNode.mode} 节点不支持模拟发送地址，写入将失败。请改用 anvil 或 hardhat 节点。`;
+  } else if (impersonating) {
+    signerNotice = `将通过 ${devNode.mode} 节点模拟 ${signerAddress} 发送（eth_sendTransaction），不会弹出钱包确认。`;
+  } else if (devSigner) {
+    signerNotice = `将由开发签名器 ${signerAddress} 直接签名发送，不会弹出钱包确认。`;
+  }
+
+  const updateStatus = (message, type = "") => {
+    setStatus({ message, type });
+  };
+
+  const ensureWalletChain = async (targetChainId) => {
+    if (!targetChainId || !window.ethereum?.request) return;
+
+    const hexChainId = `0x${targetChainId.toString(16)}`;
+
+    try {
+      await window.ethereum.request({
+        method: "wallet_switchEthereumChain",
+        params: [{ chainId: hexChainId }],
+      });
+    } catch (error) {
+      const code = error?.code ?? error?.data?.originalError?.code;
+      if (code !== 4902 || !selectedRpc) {
+        throw error;
+      }
+
+      const explorerUrl = explorerBase ? explorerBase.replace(/\/$/, "") : undefined;
+      const addParams = {
+        chainId: hexChainId,
+        chainName: `Chain ${targetChainId}`,
+        nativeCurrency: {
+          name: "Native Token",
+          symbol: "NATIVE",
+          decimals: 18,
+        },
+        rpcUrls: [selectedRpc],
+      };
+
+      if (explorerUrl) {
+        addParams.blockExplorerUrls = [explorerUrl];
+      }
+
+      await window.ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [addParams],
+      });
+
+      await window.ethereum.request({
+        method: "wallet_switchEthereumChain",
+        params: [{ chainId: hexChainId }],
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (!isConnected || !address) {
+      autoSwitchRef.current = "";
+      return;
+    }
+
+    if (!parsedChainId) return;
+    if (walletChainId === parsedChainId) return;
+
+    const switchKey = `${address}:${parsedChainId}`;
+    if (autoSwitchRef.current === switchKey) return;
+
+    autoSwitchRef.current = switchKey;
+    ensureWalletChain(parsedChainId).catch(() => {
+      updateStatus("钱包切换网络失败，请在钱包中手动切换。", "error");
+    });
+  }, [
+    isConnected,
+    address,
+    parsedChainId,
+    walletChainId,
+    selectedRpc,
+    explorerBase,
+  ]);
+
+  const getCurrentPanelValues = () => ({
+    rpcListText,
+    selectedRpc,
+    explorerBase,
+    explorerApi,
+    explorerApiKey,
+    chainId,
+    contractAddress,
+    abiText,
+  });
+
+  const applyPanelValues = (panel) => {
+    const normalized = normalizePanelValues(panel);
+    setRpcListText(normalized.rpcListText);
+    setSelectedRpc(normalized.selectedRpc);
+    setExplorerBase(normalized.explorerBase);
+    setExplorerApi(normalized.explorerApi);
+    setExplorerApiKey(normalized.explorerApiKey);
+    setChainId(normalized.chainId);
+    setContractAddress(normalized.contractAddress);
+    setAbiText(normalized.abiText);
+  };
+
+  const persistTemplates = (updater) => {
+    setTemplates((prevTemplates) => {
+      const nextTemplates =
+        typeof updater === "function" ? updater(prevTemplates) : updater;
+      localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(nextTemplates));
+      return nextTemplates;
+    });
+  };
+
+  const persistTxHistory = (updater) => {
+    setTxHistory((prevRecords) => {
+      const nextRecords = (
+        typeof updater === "function" ? updater(prevRecords) : updater
+      ).slice(0, MAX_TX_HISTORY_SIZE);
+      localStorage.setItem(TX_HISTORY_STORAGE_KEY, JSON.stringify(nextRecords));
+      return nextRecords;
+    });
+  };
+
+  const appendTxRecord = (fields) => {
+    const record = sanitizeTxRecord({
+      templateId: activeTemplate?.id || "",
+      templateName: activeTemplate?.name || "",
+      chainId: parsedChainId ?? walletChainId,
+      status: "pending",
+      timestamp: getCurrentIsoTime(),
+      ...fields,
+    });
+    persistTxHistory((prevRecords) => [record, ...prevRecords]);
+  };
+
+  const recordTransaction = (fn, args, hash, meta = {}) => {
+    appendTxRecord({
+      contractAddress,
+      functionName: fn.name,
+      signature: getFunctionSignature(fn),
+      methodKey: meta.methodKey,
+      args: formatValue(args),
+      draft: meta.draft,
+      hash,
+    });
+  };
+
+  const recordQueuedCall = (call, hash, status, batchId) => {
+    appendTxRecord({
+      contractAddress: call.to,
+      functionName: call.functionName,
+      signature: call.signature,
+      methodKey: call.methodKey,
+      args: call.args,
+      draft: call.draft,
+      hash,
+      status,
+      batchId,
+    });
+  };
+
+  const trackTxRecordReceipt = (hash, receiptPromise) => {
+    receiptPromise
+      .then((receipt) => {
+        if (!receipt) return;
+        persistTxHistory((prevRecords) =>
+          prevRecords.map((record) => {
+            const related =
+              record.hash === hash ||
+              record.hash === receipt.transactionHash ||
+              record.replacements.some((item) => item.hash === hash);
+            if (!related) return record;
+
+            const lastReplacement = record.replacements[record.replacements.length - 1];
+            let status = receipt.status === "success" ? "success" : "reverted";
+            if (lastReplacement?.mode === "cancel" && receipt.transactionHash === record.hash) {
+              status = "cancelled";
+            }
+            return {
+              ...record,
+              hash: receipt.transactionHash,
+              status,
+              gasUsed: receipt.gasUsed?.toString() || "",
+            };
+          })
+        );
+      })
+      .catch(() => {
+        persistTxHistory((prevRecords) =>
+          prevRecords.map((record) =>
+            record.hash === hash && record.status === "pending"
+              ? { ...record, status: "unknown" }
+              : record
+          )
+        );
+      });
+  };
+
+  const handleQueueSafeCall = (fn, args, valueEth, meta) => {
+    if (!isAddress(contractAddress)) {
+      throw new Error("合约地址格式不正确。");
+    }
+    const call = buildQueuedCall(contractAddress, fn, args, valueEth, meta);
+    setSafeQueue((prev) => [...prev, call]);
+    return safeQueue.length + 1;
+  };
+
+  const replaceBatchQueue = (nextQueue) => {
+    batchQueueRef.current = nextQueue;
+    setBatchQueue(nextQueue);
+  };
+
+  const persistBatchQueue = (updater) => {
+    const nextQueue = typeof updater === "function" ? updater(batchQueueRef.current) : updater;
+    replaceBatchQueue(nextQueue);
+
+    if (!activeTemplateId) return nextQueue;
+
+    persistTemplates((prevTemplates) =>
+      prevTemplates.map((template) =>
+        template.id === activeTemplateId
+          ? { ...template, batchQueue: nextQueue, updatedAt: getCurrentIsoTime() }
+          : template
+      )
+    );
+    return nextQueue;
+  };
+
+  const handleQueueBatchCall = (fn, args, valueEth, meta) => {
+    if (!isAddress(contractAddress)) {
+      throw new Error("合约地址格式不正确。");
+    }
+    const call = buildQueuedCall(contractAddress, fn, args, valueEth, meta);
+    return persistBatchQueue((prev) => [...prev, call]).length;
+  };
+
+  const handleRemoveBatchCall = (callId) => {
+    persistBatchQueue((prev) => prev.filter((call) => call.id !== callId));
+  };
+
+  const handleRemoveSafeCall = (callId) => {
+    setSafeQueue((prev) => prev.filter((call) => call.id !== callId));
+  };
+
+  const handleRerunTx = (record) => {
+    if (!record.methodKey) return;
+    const currentDraft = sanitizeMethodState(methodDrafts[record.methodKey]);
+    handlePersistMethodState(record.methodKey, {
+      values: { ...currentDraft.values, ...record.draft.values },
+      exponents: { ...currentDraft.exponents, ...record.draft.exponents },
+      tupleArrays: { ...currentDraft.tupleArrays, ...record.draft.tupleArrays },
+      payableValue: record.draft.payableValue || currentDraft.payableValue,
+    });
+    setActiveTab("write");
+    setMethodFocus({ key: record.methodKey, token: Date.now() });
+
+    if (record.contractAddress.toLowerCase() !== contractAddress.trim().toLowerCase()) {
+      updateStatus(
+        `已载入 ${record.signature} 的参数，但该记录属于合约 ${record.contractAddress}，请先加载对应合约。`,
+        "error"
+      );
+      return;
+    }
+    updateStatus(`已载入 ${record.signature} 的参数。`, "success");
+  };
+
+  const handleExportTxHistory = (records, format) => {
+    if (!records.length) {
+      updateStatus("当前没有可导出的交易记录。", "error");
+      return;
+    }
+
+    if (format === "csv") {
+      downloadFile(`tx-history-${Date.now()}.csv`, buildTxHistoryCsv(records), "text/csv");
+    } else {
+      downloadFile(
+        `tx-history-${Date.now()}.json`,
+        JSON.stringify(records, null, 2),
+        "application/json"
+      );
+    }
+    updateStatus(`已导出 ${records.length} 条交易记录。`, "success");
+  };
+
+  const handleClearTxHistory = (records) => {
+    if (!records.length) return;
+    const confirmed = window.confirm(`确认清除 ${records.length} 条交易记录？`);
+    if (!confirmed) return;
+
+    const removedIds = new Set(records.map((record) => record.id));
+    persistTxHistory((prevRecords) => prevRecords.filter((record) => !removedIds.has(record.id)));
+    updateStatus(`已清除 ${records.length} 条交易记录。`, "success");
+  };
+
+  const fetchCreationBlockFromExplorer = async (addressValue) => {
+    if (!explorerApi) return null;
+
+    const url = new URL(explorerApi);
+    url.searchParams.set("module", "contract");
+    url.searchParams.set("action", "getcontractcreation");
+    url.searchParams.set("contractaddresses", addressValue);
+    if (explorerApiKey) {
+      url.searchParams.set("apikey", explorerApiKey);
+    }
+    if (parsedChainId) {
+      url.searchParams.set("chainid", String(parsedChainId));
+    }
+
+    const response = await fetch(url.toString());
+    if (!response.ok) return null;
+    const data = await response.json();
+    const creation = Array.isArray(data?.result) ? data.result[0] : null;
+    if (creation?.blockNumber) return BigInt(creation.blockNumber);
+    if (creation?.txHash) {
+      const receipt = await publicClient.getTransactionReceipt({ hash: creation.txHash });
+      return receipt.blockNumber;
+    }
+    return null;
+  };
+
+  const requirePublicClient = () => {
+    if (!publicClient) {
+      throw new Error("请先填写 RPC 端点。\n或确保 RPC 列表已选中。");
+    }
+    return publicClient;
+  };
+
+  const findDeploymentBlock = async (addressValue) => {
+    requirePublicClient();
+
+    const cacheKey = `${selectedRpc}:${addressValue.toLowerCase()}`;
+    if (deploymentBlocksRef.current.has(cacheKey)) {
+      return deploymentBlocksRef.current.get(cacheKey);
+    }
+
+    let block = await fetchCreationBlockFromExplorer(addressValue).catch(() => null);
+    if (block === null) {
+      block = await searchDeploymentBlock(publicClient, addressValue).catch(() => 0n);
+    }
+    deploymentBlocksRef.current.set(cacheKey, block);
+    return block;
+  };
+
+  const fetchAbiFromExplorer = async (addressValue) => {
+    if (!explorerApi) {
+      throw new Error("未填写 ABI 且未提供浏览器 API 地址。\n请粘贴 ABI 或填写 API 地址。");
+    }
+
+    const url = new URL(explorerApi);
+    url.searchParams.set("module", "contract");
+    url.searchParams.set("action", "getabi");
+    url.searchParams.set("address", addressValue);
+    if (explorerApiKey) {
+      url.searchParams.set("apikey", explorerApiKey);
+    }
+    if (parsedChainId) {
+      url.searchParams.set("chainid", String(parsedChainId));
+    }
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+      throw new Error("浏览器 API 请求失败。请检查地址与网络。");
+    }
+
+    const data = await response.json();
+    if (data.status !== "1") {
+      throw new Error(data.result || "ABI 获取失败。请确认合约已验证。");
+    }
+
+    return data.result;
+  };
+
+  const requestExplorerProxy = async (action, params) => {
+    if (!explorerApi) {
+      throw new Error("未配置浏览器 API 地址，无法使用 RPC 代理调用。");
+    }
+
+    const url = new URL(explorerApi);
+    url.searchParams.set("module", "proxy");
+    url.searchParams.set("action", action);
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+    if (explorerApiKey) {
+      url.searchParams.set("apikey", explorerApiKey);
+    }
+    if (parsedChainId) {
+      url.searchParams.set("chainid", String(parsedChainId));
+    }
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+      throw new Error("浏览器 API 代理请求失败。");
+    }
+
+    const payload = await response.json();
+    if (payload?.error?.message) {
+      throw new Error(payload.error.message);
+    }
+    if (payload?.status === "0") {
+      throw new Error(payload.result || "浏览器 API 代理调用失败。");
+    }
+
+    const result = payload?.result;
+    if (!result) {
+      throw new Error("浏览器 API 代理返回未知格式。");
+    }
+
+    return result;
+  };
+
+  const proxyEthCall = ({ to, data }) =>
+    requestExplorerProxy("eth_call", { to, data, tag: "latest" });
+
+  const callReadWithFallback = async (fn, args) => {
+    requirePublicClient();
+
+    let rpcError;
+    try {
+      return await retryCall(
+        () =>
+          publicClient.readContract({
+            address: contractAddress,
+            abi: [fn],
+            functionName: fn.name,
+            args,
+          }),
+        3
+      );
+    } catch (error) {
+      if (extractRevertData(error)) {
+        throw error;
+      }
+      rpcError = error;
+    }
+
+    try {
+      const data = encodeFunctionData({
+        abi: [fn],
+        functionName: fn.name,
+        args,
+      });
+      const raw = await proxyEthCall({ to: contractAddress, data });
+      return decodeFunctionResult({
+        abi: [fn],
+        functionName: fn.name,
+        data: raw,
+      });
+    } catch (proxyError) {
+      const rpcMessage = rpcError?.message || rpcError;
+      const proxyMessage = proxyError?.message || proxyError;
+      throw new Error(
+        `RPC 调用失败（已重试 3 次）：${rpcMessage}\n浏览器 API 代理调用失败：${proxyMessage}`
+      );
+    }
+  };
 
-  const [templates, setTemplates] = useState([]);
-  const [activeTemplateId, setActiveTemplateId] = useState("");
-  const [templateNameInput, setTemplateNameInput] = useState("");
-  const [methodDrafts, setMethodDrafts] = useState({});
-  const [isTemplateMenuOpen, setIsTemplateMenuOpen] = useState(false);
-  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
-  const [exportSelection, setExportSelection] = useState({});
+  const buildRpcChain = (chainId) => ({
+    id: chainId,
+    name: `Chain ${chainId}`,
+    nativeCurrency: { name: "Native Token", symbol: "NATIVE", decimals: 18 },
+    rpcUrls: { default: { http: [selectedRpc] } },
+  });
 
-  const { isConnected, address } = useAccount();
-  const walletChainId = useChainId();
-  const { data: walletClient } = useWalletClient();
+  const resolveSigner = async () => {
+    if (impersonating) {
+      if (!IMPERSONATION_NODE_MODES.includes(devNode.mode)) {
+        throw new Error(
+          `当前 RPC 是 ${devNode.mode} 节点，不支持 anvil_/hardhat_impersonateAccount。\n请改用 anvil 或 hardhat 节点，或清空模拟发送地址。`
+        );
+      }
+      const rpcChainId = await publicClient.getChainId();
+      await testClient.impersonateAccount({ address: signerAddress });
 
-  const templateMenuRef = useRef(null);
-  const importInputRef = useRef(null);
-  const autoSwitchRef = useRef("");
+      return {
+        signerClient: createWalletClient({
+          account: signerAddress,
+          chain: buildRpcChain(rpcChainId),
+          transport: createRpcTransport(selectedRpc),
+        }),
+        account: signerAddress,
+      };
+    }
 
-  const rpcOptions = useMemo(() => parseRpcList(rpcListText), [rpcListText]);
-  const parsedChainId = useMemo(() => parseChainIdValue(chainId), [chainId]);
+    if (devSigner) {
+      requirePublicClient();
+      const rpcChainId = await publicClient.getChainId();
+      if (
+        isProductionChain(rpcChainId, productionList) ||
+        isProductionChain(parsedChainId, productionList) ||
+        isProductionRpc(selectedRpc, productionList)
+      ) {
+        throw new Error(`开发签名器不允许在生产链（链 ID ${rpcChainId}）上使用。`);
+      }
 
-  const activeTemplate = useMemo(
-    () => templates.find((item) => item.id === activeTemplateId) || null,
-    [templates, activeTemplateId]
-  );
+      return {
+        signerClient: createWalletClient({
+          account: devSigner.account,
+          chain: buildRpcChain(rpcChainId),
+          transport: createRpcTransport(selectedRpc),
+        }),
+        account: devSigner.account,
+      };
+    }
 
-  useEffect(() => {
-    setTemplates(loadTemplatesFromStorage());
-  }, []);
+    if (!isConnected) {
+      throw new Error("请先连接钱包。");
+    }
+    requirePublicClient();
 
-  useEffect(() => {
-    if (!selectedRpc || !rpcOptions.includes(selectedRpc)) {
-      setSelectedRpc(rpcOptions[0] || "");
+    if (parsedChainId && walletChainId !== parsedChainId) {
+      await ensureWalletChain(parsedChainId);
     }
-  }, [rpcOptions, selectedRpc]);
 
-  useEffect(() => {
-    if (!isTemplateMenuOpen) return undefined;
+    let signerClient = walletClient;
+    if (!signerClient && window.ethereum?.request) {
+      signerClient = createWalletClient({ transport: custom(window.ethereum) });
+    }
+    if (!signerClient) {
+      throw new Error("未获取到钱包签名器，请重新连接钱包。");
+    }
 
-    const handleOutsideClick = (event) => {
-      if (templateMenuRef.current && !templateMenuRef.current.contains(event.target)) {
-        setIsTemplateMenuOpen(false);
+    let account = signerClient.account;
+    if (!account) {
+      const addresses = await signerClient.requestAddresses();
+      if (!addresses || addresses.length === 0) {
+        throw new Error("未获取到钱包地址，请重新连接钱包。");
       }
-    };
+      account = addresses[0];
+    }
 
-    document.addEventListener("mousedown", handleOutsideClick);
-    return () => {
-      document.removeEventListener("mousedown", handleOutsideClick);
-    };
-  }, [isTemplateMenuOpen]);
+    return { signerClient, account };
+  };
 
-  const publicClient = useMemo(() => {
-    if (!selectedRpc) return null;
-    return createPublicClient({ transport: http(selectedRpc) });
-  }, [selectedRpc]);
+  const handleProductionListChange = (value) => {
+    setProductionListText(value);
+    localStorage.setItem(PRODUCTION_LIST_STORAGE_KEY, value);
+  };
 
-  const updateStatus = (message, type = "") => {
-    setStatus({ message, type });
+  const handleEnableDevSigner = (mode, secret, accountIndex) => {
+    if (isProductionChain(parsedChainId, productionList)) {
+      updateStatus(`当前链 ID ${parsedChainId} 属于生产链，无法启用开发签名器。`, "error");
+      return false;
+    }
+    if (isProductionRpc(selectedRpc, productionList)) {
+      updateStatus("当前 RPC 已被标记为生产环境，无法启用开发签名器。", "error");
+      return false;
+    }
+
+    try {
+      const account = createDevSignerAccount(mode, secret, accountIndex);
+      setDevSigner({ account, mode });
+      updateStatus(`开发签名器已启用：${account.address}`, "success");
+      return true;
+    } catch (error) {
+      updateStatus(`启用开发签名器失败：${error?.shortMessage || error?.message || error}`, "error");
+      return false;
+    }
   };
 
-  const ensureWalletChain = async (targetChainId) => {
-    if (!targetChainId || !window.ethereum?.request) return;
+  const handleDisableDevSigner = () => {
+    setDevSigner(null);
+    updateStatus("开发签名器已停用。", "success");
+  };
 
-    const hexChainId = `0x${targetChainId.toString(16)}`;
+  const simulateWrite = async (fn, args, valueEth, overrides = {}) => {
+    if (!signerAddress) {
+      throw new Error("请先连接钱包。");
+    }
+    requirePublicClient();
+
+    const callParams = {
+      address: contractAddress,
+      abi: [fn],
+      functionName: fn.name,
+      args,
+      value: parsePayableValue(valueEth),
+      account: signerAddress,
+    };
+    const preview = {
+      result: undefined,
+      error: null,
+      providerError: null,
+      gas: null,
+      feePerGas: null,
+      maxFeePerGas: null,
+      fee: null,
+      maxFee: null,
+    };
 
     try {
-      await window.ethereum.request({
-        method: "wallet_switchEthereumChain",
-        params: [{ chainId: hexChainId }],
-      });
+      const { result } = await publicClient.simulateContract(callParams);
+      preview.result = result;
+      preview.gas = await publicClient.estimateContractGas(callParams);
     } catch (error) {
-      const code = error?.code ?? error?.data?.originalError?.code;
-      if (code !== 4902 || !selectedRpc) {
-        throw error;
+      if (isContractRevert(error)) {
+        preview.error = error;
+      } else {
+        preview.providerError = error;
       }
+    }
 
-      const explorerUrl = explorerBase ? explorerBase.replace(/\/$/, "") : undefined;
-      const addParams = {
-        chainId: hexChainId,
-        chainName: `Chain ${targetChainId}`,
-        nativeCurrency: {
-          name: "Native Token",
-          symbol: "NATIVE",
-          decimals: 18,
-        },
-        rpcUrls: [selectedRpc],
-      };
+    let baseFeePerGas = null;
+    try {
+      const [fees, block] = await Promise.all([
+        publicClient.estimateFeesPerGas(),
+        publicClient.getBlock().catch(() => null),
+      ]);
+      baseFeePerGas = typeof block?.baseFeePerGas === "bigint" ? block.baseFeePerGas : null;
+      preview.maxFeePerGas = fees.maxFeePerGas ?? fees.gasPrice ?? null;
+      preview.feePerGas =
+        baseFeePerGas !== null && typeof fees.maxPriorityFeePerGas === "bigint"
+          ? baseFeePerGas + fees.maxPriorityFeePerGas
+          : preview.maxFeePerGas;
+    } catch {
+      preview.feePerGas = await publicClient.getGasPrice().catch(() => null);
+      preview.maxFeePerGas = preview.feePerGas;
+    }
 
-      if (explorerUrl) {
-        addParams.blockExplorerUrls = [explorerUrl];
-      }
+    const gasLimit = overrides.gas ?? preview.gas;
+    const maxFeePerGas = overrides.maxFeePerGas ?? overrides.gasPrice ?? preview.maxFeePerGas;
+    let feePerGas =
+      overrides.gasPrice ??
+      (overrides.maxPriorityFeePerGas !== undefined && baseFeePerGas !== null
+        ? baseFeePerGas + overrides.maxPriorityFeePerGas
+        : preview.feePerGas);
+    if (feePerGas !== null && maxFeePerGas !== null && feePerGas > maxFeePerGas) {
+      feePerGas = maxFeePerGas;
+    }
+    if (gasLimit !== null && feePerGas !== null) {
+      preview.fee = gasLimit * feePerGas;
+    }
+    if (gasLimit !== null && maxFeePerGas !== null) {
+      preview.maxFee = gasLimit * maxFeePerGas;
+    }
+    return preview;
+  };
 
-      await window.ethereum.request({
-        method: "wallet_addEthereumChain",
-        params: [addParams],
-      });
+  const suggestTxOverrides = async (fn, args, valueEth) => {
+    requirePublicClient();
+
+    const suggestion = {};
+    const block = await publicClient.getBlock().catch(() => null);
+    if (typeof block?.baseFeePerGas === "bigint") {
+      const fees = await publicClient.estimateFeesPerGas();
+      suggestion.feeMode = "eip1559";
+      suggestion.maxFeePerGas = formatGwei(fees.maxFeePerGas);
+      suggestion.maxPriorityFeePerGas = formatGwei(fees.maxPriorityFeePerGas);
+    } else {
+      suggestion.feeMode = "legacy";
+      suggestion.gasPrice = formatGwei(await publicClient.getGasPrice());
+    }
 
-      await window.ethereum.request({
-        method: "wallet_switchEthereumChain",
-        params: [{ chainId: hexChainId }],
+    if (signerAddress) {
+      const nonce = await publicClient.getTransactionCount({
+        address: signerAddress,
+        blockTag: "pending",
       });
+      suggestion.nonce = String(nonce);
+
+      if (args) {
+        try {
+          const gas = await publicClient.estimateContractGas({
+            address: contractAddress,
+            abi: [fn],
+            functionName: fn.name,
+            args,
+            value: parsePayableValue(valueEth),
+            account: signerAddress,
+          });
+          suggestion.gas = gas.toString();
+        } catch {
+          suggestion.gas = "";
+        }
+      }
     }
+
+    return suggestion;
   };
 
-  useEffect(() => {
-    if (!isConnected || !address) {
-      autoSwitchRef.current = "";
-      return;
+  const handleWrite = async (fn, args, valueEth, overrides = {}, meta = {}) => {
+    const { signerClient, account } = await resolveSigner();
+
+    const hash = await signerClient.writeContract({
+      address: contractAddress,
+      abi: [fn],
+      functionName: fn.name,
+      args,
+      value: parsePayableValue(valueEth),
+      account,
+      ...overrides,
+    });
+
+    recordTransaction(fn, args, hash, meta);
+    const receiptPromise = waitForReceipt(hash);
+    trackTxRecordReceipt(hash, receiptPromise);
+    return { hash, receiptPromise };
+  };
+
+  const waitForReceipt = (hash) => {
+    let replacement = null;
+    return publicClient
+      .waitForTransactionReceipt({
+        hash,
+        onReplaced: (info) => {
+          replacement = { reason: info.reason, replacedHash: hash };
+        },
+      })
+      .then((receipt) => (replacement ? { ...receipt, replacement } : receipt));
+  };
+
+  const replacePendingTransaction = async (hash, mode) => {
+    const { signerClient, account } = await resolveSigner();
+    const pending = await publicClient.getTransaction({ hash });
+    if (pending.blockNumber !== null) {
+      throw new Error("交易已被打包，无法替换。");
     }
 
-    if (!parsedChainId) return;
-    if (walletChainId === parsedChainId) return;
+    const fromAddress = typeof account === "string" ? account : account.address;
+    const feeFields = {};
+    if (pending.maxFeePerGas !== undefined && pending.maxFeePerGas !== null) {
+      const current = await publicClient.estimateFeesPerGas().catch(() => null);
+      const maxPriorityFeePerGas = maxBigInt(
+        bumpReplacementFee(pending.maxPriorityFeePerGas ?? 0n),
+        current?.maxPriorityFeePerGas ?? 0n
+      );
+      feeFields.maxFeePerGas = maxBigInt(
+        bumpReplacementFee(pending.maxFeePerGas),
+        current?.maxFeePerGas ?? 0n,
+        maxPriorityFeePerGas
+      );
+      feeFields.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    } else {
+      const current = await publicClient.getGasPrice().catch(() => 0n);
+      feeFields.gasPrice = maxBigInt(bumpReplacementFee(pending.gasPrice ?? 0n), current);
+    }
 
-    const switchKey = `${address}:${parsedChainId}`;
-    if (autoSwitchRef.current === switchKey) return;
+    const request =
+      mode === "cancel"
+        ? { to: fromAddress, value: 0n, gas: 21000n }
+        : { to: pending.to, value: pending.value, data: pending.input, gas: pending.gas };
 
-    autoSwitchRef.current = switchKey;
-    ensureWalletChain(parsedChainId).catch(() => {
-      updateStatus("钱包切换网络失败，请在钱包中手动切换。", "error");
+    const replacementHash = await signerClient.sendTransaction({
+      account,
+      nonce: pending.nonce,
+      ...request,
+      ...feeFields,
     });
-  }, [
-    isConnected,
-    address,
-    parsedChainId,
-    walletChainId,
-    selectedRpc,
-    explorerBase,
-  ]);
-
-  const getCurrentPanelValues = () => ({
-    rpcListText,
-    selectedRpc,
-    explorerBase,
-    explorerApi,
-    explorerApiKey,
-    chainId,
-    contractAddress,
-    abiText,
-  });
 
-  const applyPanelValues = (panel) => {
-    const normalized = normalizePanelValues(panel);
-    setRpcListText(normalized.rpcListText);
-    setSelectedRpc(normalized.selectedRpc);
-    setExplorerBase(normalized.explorerBase);
-    setExplorerApi(normalized.explorerApi);
-    setExplorerApiKey(normalized.explorerApiKey);
-    setChainId(normalized.chainId);
-    setContractAddress(normalized.contractAddress);
-    setAbiText(normalized.abiText);
+    persistTxHistory((prevRecords) =>
+      prevRecords.map((record) =>
+        record.hash === hash
+          ? {
+              ...record,
+              hash: replacementHash,
+              replacements: [...record.replacements, { hash, mode }],
+            }
+          : record
+      )
+    );
+    const receiptPromise = waitForReceipt(replacementHash);
+    trackTxRecordReceipt(replacementHash, receiptPromise);
+    return { hash: replacementHash, receiptPromise };
   };
 
-  const persistTemplates = (updater) => {
-    setTemplates((prevTemplates) => {
-      const nextTemplates =
-        typeof updater === "function" ? updater(prevTemplates) : updater;
-      localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(nextTemplates));
-      return nextTemplates;
+  const sendBatchViaWallet = async (signerClient, account, calls, onStep) => {
+    calls.forEach((call) => onStep(call.id, { state: "sending" }));
+    const { id } = await signerClient.sendCalls({
+      account,
+      chain: signerClient.chain ?? { id: parsedChainId ?? walletChainId },
+      calls: calls.map((call) => ({ to: call.to, data: call.data, value: BigInt(call.value) })),
+    });
+    calls.forEach((call) => onStep(call.id, { state: "sent" }));
+
+    const result = await signerClient.waitForCallsStatus({ id, timeout: BATCH_STATUS_TIMEOUT });
+    const receipts = result.receipts || [];
+    const atomic = result.atomic === true;
+
+    calls.forEach((call, index) => {
+      const receipt = atomic ? receipts[receipts.length - 1] : receipts[index];
+      if (!receipt) {
+        onStep(call.id, { state: "failed", error: `批次状态：${result.status}` });
+        return;
+      }
+      const state = receipt.status === "success" ? "success" : "reverted";
+      onStep(call.id, { state, hash: receipt.transactionHash });
+      recordQueuedCall(call, receipt.transactionHash, state, id);
     });
+
+    return { mode: "sendCalls", failed: result.status !== "success" };
   };
 
-  const fetchAbiFromExplorer = async (addressValue) => {
-    if (!explorerApi) {
-      throw new Error("未填写 ABI 且未提供浏览器 API 地址。\n请粘贴 ABI 或填写 API 地址。");
-    }
+  const sendBatchSequentially = async (signerClient, account, calls, onStep) => {
+    for (let index = 0; index < calls.length; index += 1) {
+      const call = calls[index];
+      onStep(call.id, { state: "sending" });
 
-    const url = new URL(explorerApi);
-    url.searchParams.set("module", "contract");
-    url.searchParams.set("action", "getabi");
-    url.searchParams.set("address", addressValue);
-    if (explorerApiKey) {
-      url.searchParams.set("apikey", explorerApiKey);
-    }
-    if (parsedChainId) {
-      url.searchParams.set("chainid", String(parsedChainId));
+      let hash = "";
+      try {
+        hash = await signerClient.sendTransaction({
+          account,
+          to: call.to,
+          data: call.data,
+          value: BigInt(call.value),
+        });
+        onStep(call.id, { state: "sent", hash });
+        recordQueuedCall(call, hash, "pending");
+
+        const receiptPromise = waitForReceipt(hash);
+        trackTxRecordReceipt(hash, receiptPromise);
+        const receipt = await receiptPromise;
+        if (receipt.status !== "success") {
+          throw new Error("交易已回滚。");
+        }
+        onStep(call.id, { state: "success", hash: receipt.transactionHash });
+      } catch (error) {
+        onStep(call.id, {
+          state: hash ? "reverted" : "failed",
+          hash,
+          error: error?.shortMessage || error?.message || String(error),
+        });
+        calls.slice(index + 1).forEach((rest) => onStep(rest.id, { state: "skipped" }));
+        return { mode: "sequential", failed: true };
+      }
     }
 
-    const response = await fetch(url.toString());
-    if (!response.ok) {
-      throw new Error("浏览器 API 请求失败。请检查地址与网络。");
-    }
+    return { mode: "sequential", failed: false };
+  };
 
-    const data = await response.json();
-    if (data.status !== "1") {
-      throw new Error(data.result || "ABI 获取失败。请确认合约已验证。");
+  const sendBatchCalls = async (calls, onStep) => {
+    const { signerClient, account } = await resolveSigner();
+    const capabilities = await signerClient
+      .getCapabilities({ account, chainId: parsedChainId ?? walletChainId })
+      .catch(() => null);
+    const atomicStatus =
+      capabilities?.atomic?.status ?? (capabilities?.atomicBatch?.supported ? "supported" : "");
+
+    if (ATOMIC_BATCH_STATUSES.includes(atomicStatus)) {
+      try {
+        return await sendBatchViaWallet(signerClient, account, calls, onStep);
+      } catch (error) {
+        const code = error?.code ?? error?.cause?.code;
+        if (!BATCH_UNSUPPORTED_ERROR_CODES.includes(code)) {
+          throw error;
+        }
+      }
     }
 
-    return data.result;
+    return sendBatchSequentially(signerClient, account, calls, onStep);
   };
 
-  const proxyEthCall = async ({ to, data }) => {
-    if (!explorerApi) {
-      throw new Error("未配置浏览器 API 地址，无法使用 RPC 代理调用。");
+  const buildUnsignedTransaction = async (fn, args, valueEth, overrides = {}) => {
+    requirePublicClient();
+    if (!parsedChainId) {
+      throw new Error("请先在基础配置中填写链 ID。");
     }
-
-    const url = new URL(explorerApi);
-    url.searchParams.set("module", "proxy");
-    url.searchParams.set("action", "eth_call");
-    url.searchParams.set("to", to);
-    url.searchParams.set("data", data);
-    url.searchParams.set("tag", "latest");
-    if (explorerApiKey) {
-      url.searchParams.set("apikey", explorerApiKey);
+    if (!isAddress(contractAddress)) {
+      throw new Error("合约地址格式不正确。");
     }
-    if (parsedChainId) {
-      url.searchParams.set("chainid", String(parsedChainId));
+    if (!signerAddress && overrides.nonce === undefined) {
+      throw new Error("未连接钱包时请在高级选项中填写 Nonce。");
     }
 
-    const response = await fetch(url.toString());
-    if (!response.ok) {
-      throw new Error("浏览器 API 代理请求失败。");
+    const tx = {
+      chainId: parsedChainId,
+      to: getAddress(contractAddress),
+      data: encodeFunctionData({ abi: [fn], functionName: fn.name, args }),
+      value: parsePayableValue(valueEth) ?? 0n,
+    };
+    tx.nonce =
+      overrides.nonce ??
+      (await publicClient.getTransactionCount({ address: signerAddress, blockTag: "pending" }));
+    tx.gas =
+      overrides.gas ??
+      (await publicClient.estimateGas({ account: signerAddress || undefined, ...tx }));
+
+    const hasFeeOverrides =
+      overrides.maxFeePerGas !== undefined || overrides.maxPriorityFeePerGas !== undefined;
+    const block = await publicClient.getBlock().catch(() => null);
+    if (
+      overrides.gasPrice !== undefined ||
+      (!hasFeeOverrides && typeof block?.baseFeePerGas !== "bigint")
+    ) {
+      tx.type = "legacy";
+      tx.gasPrice = overrides.gasPrice ?? (await publicClient.getGasPrice());
+    } else {
+      const fees =
+        overrides.maxFeePerGas !== undefined && overrides.maxPriorityFeePerGas !== undefined
+          ? {}
+          : await publicClient.estimateFeesPerGas();
+      tx.type = "eip1559";
+      tx.maxFeePerGas = overrides.maxFeePerGas ?? fees.maxFeePerGas;
+      tx.maxPriorityFeePerGas = overrides.maxPriorityFeePerGas ?? fees.maxPriorityFeePerGas;
     }
 
-    const payload = await response.json();
-    if (payload?.error?.message) {
-      throw new Error(payload.error.message);
-    }
-    if (payload?.status === "0") {
-      throw new Error(payload.result || "浏览器 API 代理调用失败。");
-    }
+    return { from: signerAddress || "", tx, serialized: serializeTransaction(tx) };
+  };
 
-    const result = payload?.result;
-    if (!result) {
-      throw new Error("浏览器 API 代理返回未知格式。");
-    }
+  const handleExportUnsignedTx = async (fn, args, valueEth, overrides) => {
+    const { from, tx, serialized } = await buildUnsignedTransaction(fn, args, valueEth, overrides);
+    const baseName = `unsigned-tx-${fn.name}-${tx.chainId}-${tx.nonce}`;
+    const payload = buildUnsignedTxExport({
+      from,
+      tx,
+      serialized,
+      signature: getFunctionSignature(fn),
+      args,
+    });
 
-    return result;
+    downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), "application/json");
+    downloadFile(`${baseName}.rlp.txt`, serialized, "text/plain");
+    return { nonce: tx.nonce, gas: tx.gas };
   };
 
-  const callReadWithFallback = async (fn, args) => {
-    if (!publicClient) {
-      throw new Error("请先填写 RPC 端点。\n或确保 RPC 列表已选中。");
+  const broadcastRawTransaction = async (serializedTransaction, parsedTx) => {
+    if (parsedChainId && parsedTx.chainId && parsedTx.chainId !== parsedChainId) {
+      throw new Error(`交易链 ID（${parsedTx.chainId}）与当前配置（${parsedChainId}）不一致。`);
     }
 
+    let hash = "";
+    let via = "rpc";
     let rpcError;
-    try {
-      return await retryCall(
-        () =>
-          publicClient.readContract({
-            address: contractAddress,
-            abi: [fn],
-            functionName: fn.name,
-            args,
-          }),
-        3
-      );
-    } catch (error) {
-      rpcError = error;
+    if (publicClient) {
+      try {
+        hash = await publicClient.sendRawTransaction({ serializedTransaction });
+      } catch (error) {
+        rpcError = error;
+      }
     }
 
-    try {
-      const data = encodeFunctionData({
-        abi: [fn],
-        functionName: fn.name,
-        args,
-      });
-      const raw = await proxyEthCall({ to: contractAddress, data });
-      return decodeFunctionResult({
-        abi: [fn],
-        functionName: fn.name,
-        data: raw,
-      });
-    } catch (proxyError) {
-      const rpcMessage = rpcError?.message || rpcError;
-      const proxyMessage = proxyError?.message || proxyError;
-      throw new Error(
-        `RPC 调用失败（已重试 3 次）：${rpcMessage}\n浏览器 API 代理调用失败：${proxyMessage}`
-      );
+    if (!hash) {
+      try {
+        hash = await requestExplorerProxy("eth_sendRawTransaction", { hex: serializedTransaction });
+        via = "explorer";
+      } catch (proxyError) {
+        const rpcMessage = rpcError?.shortMessage || rpcError?.message || "未配置 RPC";
+        const proxyMessage = proxyError?.message || proxyError;
+        throw new Error(`RPC 广播失败：${rpcMessage}\n浏览器 API 代理广播失败：${proxyMessage}`);
+      }
     }
-  };
 
-  const handleWrite = async (fn, args, valueEth) => {
-    if (!isConnected) {
-      throw new Error("请先连接钱包。");
-    }
+    appendTxRecord({
+      chainId: parsedTx.chainId ?? parsedChainId ?? walletChainId,
+      contractAddress: parsedTx.to || "",
+      signature: "raw transaction",
+      hash,
+    });
+
     if (!publicClient) {
-      throw new Error("请先填写 RPC 端点。\n或确保 RPC 列表已选中。");
+      return { hash, via, receiptPromise: null };
     }
+    const receiptPromise = waitForReceipt(hash);
+    trackTxRecordReceipt(hash, receiptPromise);
+    return { hash, via, receiptPromise };
+  };
 
-    if (parsedChainId && walletChainId !== parsedChainId) {
-      await ensureWalletChain(parsedChainId);
-    }
+  const queryEventLogs = async (event, args, fromInput, toInput, onProgress) => {
+    requirePublicClient();
 
-    let signerClient = walletClient;
-    if (!signerClient && window.ethereum?.request) {
-      signerClient = createWalletClient({ transport: custom(window.ethereum) });
+    const latestBlock = await publicClient.getBlockNumber();
+    const toBlock = parseBlockInput(toInput, latestBlock);
+    const defaultFrom = toBlock >= DEFAULT_LOG_LOOKBACK ? toBlock - DEFAULT_LOG_LOOKBACK + 1n : 0n;
+    const fromBlock = parseBlockInput(fromInput, defaultFrom);
+    if (fromBlock > toBlock) {
+      throw new Error("起始区块不能大于结束区块。");
     }
-    if (!signerClient) {
-      throw new Error("未获取到钱包签名器，请重新连接钱包。");
+
+    const logs = await fetchLogsInChunks(
+      publicClient,
+      { address: contractAddress, event, args },
+      fromBlock,
+      toBlock,
+      onProgress
+    );
+    return { logs, fromBlock, toBlock };
+  };
+
+  const watchEventLogs = (watchAddress, events, fromBlock, onLogs, onError) => {
+    requirePublicClient();
+    if (!isAddress(watchAddress)) {
+      throw new Error("合约地址格式不正确。");
     }
 
-    let account = signerClient.account;
-    if (!account) {
-      const addresses = await signerClient.requestAddresses();
-      if (!addresses || addresses.length === 0) {
-        throw new Error("未获取到钱包地址，请重新连接钱包。");
-      }
-      account = addresses[0];
+    return publicClient.watchContractEvent({
+      address: watchAddress,
+      abi: events,
+      fromBlock,
+      onLogs,
+      onError,
+      poll: isWebSocketRpc(selectedRpc) ? undefined : true,
+      pollingInterval: WATCH_POLLING_INTERVAL,
+    });
+  };
+
+  const readStorageSlot = async (slot) => {
+    requirePublicClient();
+    if (!isAddress(contractAddress)) {
+      throw new Error("合约地址格式不正确。");
     }
+    return publicClient.getStorageAt({ address: contractAddress, slot: toStorageSlotHex(slot) });
+  };
 
-    const value = valueEth?.trim() ? parseEther(valueEth.trim()) : undefined;
+  const getContractCode = async (targetAddress) =>
+    requirePublicClient().getCode({ address: targetAddress });
 
-    const hash = await signerClient.writeContract({
-      address: contractAddress,
-      abi: [fn],
-      functionName: fn.name,
-      args,
-      value,
-      account,
-    });
+  const getLatestBlockNumber = async () => requirePublicClient().getBlockNumber();
 
-    const receiptPromise = publicClient.waitForTransactionReceipt({ hash });
-    return { hash, receiptPromise };
+  const buildGuessedAbi = async (targetAddress) => {
+    const code = await publicClient.getCode({ address: targetAddress });
+    if (!code || code === "0x") {
+      throw new Error("该地址没有合约代码，无法推测 ABI。");
+    }
+
+    const libraryAbis = templates
+      .map((template) => {
+        try {
+          return template.panel.abiText.trim() ? parseAbiInput(template.panel.abiText) : [];
+        } catch {
+          return [];
+        }
+      })
+      .filter((items) => items.length);
+    const guessed = guessAbiFromBytecode(code, libraryAbis);
+    if (!guessed.abi.length) {
+      throw new Error(`字节码中的 ${guessed.selectorCount} 个 selector 均未能匹配到已知签名。`);
+    }
+    return guessed;
   };
 
+  const confirmGuessAbi = (reason) =>
+    window.confirm(`${reason}\n\n是否根据合约字节码中的 selector 推测 ABI？推测的函数会被标记。`);
+
   const loadContract = async () => {
     updateStatus("", "");
+    setContractSummary(null);
+    summaryRequestRef.current += 1;
+    const summaryRequest = summaryRequestRef.current;
 
     if (!selectedRpc) {
       updateStatus("请先填写 RPC 端点。", "error");
@@ -1312,27 +7513,191 @@ export default function App() {
     }
 
     try {
+      updateStatus("正在检测代理合约...", "");
+      let detectedProxy = null;
+      let detectionNote = "";
+      try {
+        detectedProxy = await detectProxyImplementation(publicClient, contractAddress);
+      } catch (error) {
+        detectedProxy = null;
+        detectionNote = `，代理检测失败：${error?.shortMessage || error?.message || error}`;
+      }
+
+      let facets = null;
+      if (!detectedProxy) {
+        updateStatus("正在检测 Diamond 合约...", "");
+        facets = await detectDiamondFacets(publicClient, contractAddress);
+      }
+
       let resolvedAbi = abiText.trim();
+      let guessedAbi = null;
       if (!resolvedAbi) {
         updateStatus("正在通过浏览器 API 拉取 ABI...", "");
-        resolvedAbi = await fetchAbiFromExplorer(contractAddress);
-        setAbiText(resolvedAbi);
+        try {
+          resolvedAbi = await fetchAbiFromExplorer(contractAddress);
+          setAbiText(resolvedAbi);
+        } catch (error) {
+          if (detectedProxy || facets) {
+            resolvedAbi = "[]";
+          } else {
+            if (!confirmGuessAbi(error?.message || String(error))) throw error;
+            updateStatus("正在根据字节码推测 ABI...", "");
+            guessedAbi = await buildGuessedAbi(contractAddress);
+            resolvedAbi = JSON.stringify(guessedAbi.abi);
+          }
+        }
+      }
+
+      const parsed = parseAbiInput(resolvedAbi);
+
+      let abiItems = parsed;
+      let sources = {};
+      let implementationNote = "";
+      let implementationFailed = false;
+      if (guessedAbi) {
+        parsed.forEach((fn) => {
+          sources[getFunctionSignature(fn)] = "guessed";
+        });
+      }
+      if (detectedProxy) {
+        updateStatus("正在拉取实现合约 ABI...", "");
+        try {
+          const implementationAbi = JSON.parse(
+            await fetchAbiFromExplorer(detectedProxy.implementation)
+          );
+          if (!Array.isArray(implementationAbi)) {
+            throw new Error("实现合约 ABI 格式无效。");
+          }
+          const merged = mergeProxyAbi(parsed, implementationAbi);
+          abiItems = merged.abi;
+          sources = merged.sources;
+        } catch (error) {
+          implementationFailed = true;
+          implementationNote = `，实现合约 ABI 获取失败：${error?.message || error}`;
+          if (confirmGuessAbi(`实现合约 ABI 获取失败：${error?.message || error}`)) {
+            try {
+              guessedAbi = await buildGuessedAbi(detectedProxy.implementation);
+              const merged = mergeProxyAbi(parsed, guessedAbi.abi);
+              abiItems = merged.abi;
+              sources = merged.sources;
+              guessedAbi.abi.forEach((fn) => {
+                sources[getFunctionSignature(fn)] = "guessed";
+              });
+              implementationFailed = false;
+              implementationNote = "，实现合约 ABI 根据字节码推测";
+            } catch (guessError) {
+              implementationNote += `；推测失败：${guessError?.message || guessError}`;
+            }
+          }
+        }
+      }
+
+      let methodEntries = abiItems
+        .filter((item) => item.type === "function")
+        .map((fn) => ({ fn, source: sources[getFunctionSignature(fn)] }));
+
+      let facetNote = "";
+      if (facets) {
+        updateStatus(`检测到 Diamond 合约，正在拉取 ${facets.length} 个 facet 的 ABI...`, "");
+        const routedSelectors = new Set();
+        const facetEntries = [];
+        let failedFacets = 0;
+
+        for (const facet of facets) {
+          try {
+            const facetAbi = JSON.parse(await fetchAbiFromExplorer(facet.address));
+            if (!Array.isArray(facetAbi)) {
+              throw new Error("facet ABI 格式无效。");
+            }
+            const selectorSet = facet.selectors ? new Set(facet.selectors) : null;
+            facetAbi.forEach((item) => {
+              if (item.type !== "function") {
+                if (!abiItems.some((existing) => getAbiItemKey(existing) === getAbiItemKey(item))) {
+                  abiItems = [...abiItems, item];
+                }
+                return;
+              }
+              const selector = toFunctionSelector(item).toLowerCase();
+              if (selectorSet && !selectorSet.has(selector)) return;
+              routedSelectors.add(selector);
+              facetEntries.push({ fn: item, facet: facet.address });
+            });
+          } catch {
+            failedFacets += 1;
+          }
+        }
+
+        methodEntries = [
+          ...methodEntries.filter(
+            (entry) => !routedSelectors.has(toFunctionSelector(entry.fn).toLowerCase())
+          ),
+          ...facetEntries,
+        ];
+        if (failedFacets) {
+          facetNote = `，${failedFacets} 个 facet ABI 获取失败`;
+        }
       }
 
-      const parsed = JSON.parse(resolvedAbi);
-      if (!Array.isArray(parsed)) {
-        throw new Error("ABI 格式无效，请确认是 JSON 数组。");
+      setReadMethods(methodEntries.filter((entry) => isReadFunction(entry.fn)));
+      setWriteMethods(methodEntries.filter((entry) => !isReadFunction(entry.fn)));
+      setProxyInfo(detectedProxy);
+      setDiamondFacets(facets);
+      setContractAbi(abiItems);
+
+      buildContractSummary(publicClient, contractAddress, [
+        ...abiItems,
+        ...methodEntries.map((entry) => entry.fn),
+      ])
+        .then((summary) => {
+          if (summaryRequestRef.current === summaryRequest) setContractSummary(summary);
+        })
+        .catch(() => {});
+
+      if (facets) {
+        updateStatus(
+          `合约已加载完成（Diamond，${facets.length} 个 facet${facetNote}${detectionNote}）。`,
+          facetNote || detectionNote ? "error" : "success"
+        );
+        return;
       }
 
-      const functions = parsed.filter((item) => item.type === "function");
-      setReadFns(functions.filter((fn) => isReadFunction(fn)));
-      setWriteFns(functions.filter((fn) => !isReadFunction(fn)));
+      if (detectedProxy) {
+        const proxyLabel = PROXY_KIND_LABELS[detectedProxy.kind] || "代理合约";
+        updateStatus(
+          `合约已加载完成（${proxyLabel}，实现合约 ${shortAddress(
+            detectedProxy.implementation
+          )}${implementationNote}）。`,
+          implementationFailed ? "error" : "success"
+        );
+        return;
+      }
+      if (guessedAbi) {
+        updateStatus(
+          `合约已加载完成（根据字节码推测 ${guessedAbi.abi.length} 个函数，${guessedAbi.unknown.length} 个 selector 未能识别${detectionNote}）。`,
+          detectionNote ? "error" : "success"
+        );
+        return;
+      }
+      if (detectionNote) {
+        updateStatus(`合约已加载完成（${detectionNote.slice(1)}，可能未识别出代理合约）。`, "error");
+        return;
+      }
       updateStatus("合约已加载完成。", "success");
     } catch (error) {
       updateStatus(`加载失败：${error?.message || error}`, "error");
     }
   };
 
+  const handleMethodOverridesChange = (methodKey, update) => {
+    setMethodOverrides((prev) => {
+      const current = prev[methodKey] || EMPTY_TX_OVERRIDES;
+      return {
+        ...prev,
+        [methodKey]: typeof update === "function" ? update(current) : update,
+      };
+    });
+  };
+
   const handlePersistMethodState = (methodKey, nextState) => {
     const safeState = sanitizeMethodState(nextState);
 
@@ -1364,6 +7729,8 @@ export default function App() {
 
     applyPanelValues(template.panel);
     setMethodDrafts(cloneMethodStates(template.methodStates));
+    setMethodOverrides({});
+    replaceBatchQueue(template.batchQueue || []);
     setTemplateNameInput(template.name);
     setActiveTemplateId(template.id);
     setIsTemplateMenuOpen(false);
@@ -1385,6 +7752,7 @@ export default function App() {
       setActiveTemplateId("");
       setTemplateNameInput("");
       setMethodDrafts({});
+      replaceBatchQueue([]);
     }
 
     updateStatus(`已删除模板：${template.name}`, "success");
@@ -1404,6 +7772,7 @@ export default function App() {
             name: nextName,
             panel,
             methodStates: cloneMethodStates(methodDrafts),
+            batchQueue,
             updatedAt: now,
           };
         })
@@ -1426,6 +7795,7 @@ export default function App() {
       name: finalName,
       panel,
       methodStates: cloneMethodStates(methodDrafts),
+      batchQueue,
       createdAt: now,
       updatedAt: now,
     };
@@ -1528,17 +7898,11 @@ export default function App() {
       templates: selectedTemplates,
     };
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `contract-templates-${Date.now()}.json`;
-    document.body.appendChild(link);
-    link.click();
-    link.remove();
-    URL.revokeObjectURL(url);
+    downloadFile(
+      `contract-templates-${Date.now()}.json`,
+      JSON.stringify(payload, null, 2),
+      "application/json"
+    );
 
     setIsExportModalOpen(false);
     updateStatus(`已导出 ${selectedTemplates.length} 个模板。`, "success");
@@ -1553,21 +7917,78 @@ export default function App() {
     setChainId("");
     setContractAddress("");
     setAbiText("");
-    setReadFns([]);
-    setWriteFns([]);
+    setReadMethods([]);
+    setWriteMethods([]);
+    setProxyInfo(null);
+    setDiamondFacets(null);
+    setContractAbi([]);
+    setContractSummary(null);
+    summaryRequestRef.current += 1;
     setMethodDrafts({});
+    setMethodOverrides({});
     updateStatus("已清空。", "");
   };
 
-  const activeList = activeTab === "read" ? readFns : writeFns;
+  const activeTabConfig = CONTENT_TABS.find((tab) => tab.id === activeTab) || CONTENT_TABS[0];
+  const isMethodTab = activeTab === "read" || activeTab === "write";
+  const activeList = activeTab === "read" ? readMethods : writeMethods;
+  const activeGroups = diamondFacets ? groupMethodsByFacet(activeList, diamondFacets) : null;
+  const renderMethodCard = (entry) => {
+    const methodStorageKey = buildMethodStorageKey(activeTab, entry.fn, entry.facet);
+    return (
+      <MethodCard
+        key={methodStorageKey}
+        fn={entry.fn}
+        kind={activeTab}
+        explorerBase={explorerBase}
+        contractAddress={contractAddress}
+        targetChainId={parsedChainId}
+        walletChainId={isConnected && !signerNotice ? walletChainId : null}
+        signerNotice={signerNotice}
+        account={signerAddress || ""}
+        onRead={callReadWithFallback}
+        onWrite={handleWrite}
+        onSimulate={simulateWrite}
+        onSuggestOverrides={suggestTxOverrides}
+        onReplace={replacePendingTransaction}
+        onQueueSafe={handleQueueSafeCall}
+        onQueueBatch={handleQueueBatchCall}
+        onExportUnsigned={handleExportUnsignedTx}
+        onPersist={handlePersistMethodState}
+        methodStorageKey={methodStorageKey}
+        savedCallState={methodDrafts[methodStorageKey]}
+        txOverrides={methodOverrides[methodStorageKey] || EMPTY_TX_OVERRIDES}
+        onOverridesChange={handleMethodOverridesChange}
+        source={entry.source}
+        errorAbi={abiErrors}
+        eventAbi={abiEvents}
+        focusToken={methodFocus.key === methodStorageKey ? methodFocus.token : 0}
+      />
+    );
+  };
   const emptyText =
     activeTab === "read" ? "请先加载合约。" : "加载合约后，这里会展示可写方法。";
+  const tabCounts = {
+    read: readMethods.length,
+    write: writeMethods.length,
+    events: abiEvents.length,
+    history: txHistory.length,
+    safe: safeQueue.length,
+    batch: batchQueue.length,
+  };
 
   return (
     <div>
       <div className="bg-orb bg-orb-1"></div>
       <div className="bg-orb bg-orb-2"></div>
 
+      {devSigner && (
+        <div className="dev-signer-banner">
+          开发签名器已启用：{devSigner.account.address} · 交易将由内存中的
+          {DEV_SIGNER_MODE_LABELS[devSigner.mode]}直接签名，不经过钱包确认。
+        </div>
+      )}
+
       <header className="hero">
         <div>
           <p className="eyebrow">Common EVM Contract Dashboard</p>
@@ -1760,11 +8181,15 @@ export default function App() {
           </label>
 
           <label className="field">
-            <span>ABI（可选，留空会尝试通过浏览器 API 拉取）</span>
+            <span>
+              ABI（可选，支持 JSON、可读签名或 Solidity interface，留空会尝试通过浏览器 API 拉取）
+            </span>
             <textarea
               rows={6}
               value={abiText}
-              placeholder='[{"type":"function","name":"balanceOf","inputs":...}]'
+              placeholder={
+                '[{"type":"function","name":"balanceOf","inputs":...}]\n或\nfunction balanceOf(address owner) view returns (uint256)\nevent Transfer(address indexed from, address indexed to, uint256 value)'
+              }
               onChange={(event) => setAbiText(event.target.value)}
             ></textarea>
           </label>
@@ -1782,49 +8207,236 @@ export default function App() {
           </div>
 
           <div className={`status ${status.type}`}>{status.message}</div>
+
+          <DevSignerPanel
+            devSigner={devSigner}
+            productionListText={productionListText}
+            onProductionListChange={handleProductionListChange}
+            onEnable={handleEnableDevSigner}
+            onDisable={handleDisableDevSigner}
+          />
         </section>
 
         <section className="content">
           <div className="tabs">
-            <button
-              className={`tab ${activeTab === "read" ? "active" : ""}`}
-              onClick={() => setActiveTab("read")}
-            >
-              Read Contract
-            </button>
-            <button
-              className={`tab ${activeTab === "write" ? "active" : ""}`}
-              onClick={() => setActiveTab("write")}
-            >
-              Write Contract
-            </button>
+            {visibleTabs.map((tab) => (
+              <button
+                key={tab.id}
+                className={`tab ${activeTab === tab.id ? "active" : ""}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                {tab.label}
+              </button>
+            ))}
           </div>
 
           <div className="section-header">
-            <h2>{activeTab === "read" ? "Read 方法" : "Write 方法"}</h2>
-            <span className="pill">{activeList.length}</span>
+            <h2>{activeTabConfig.title}</h2>
+            {activeTabConfig.id in tabCounts && (
+              <span className="pill">{tabCounts[activeTabConfig.id]}</span>
+            )}
           </div>
 
-          <div className={`method-list ${activeList.length ? "" : "empty"}`}>
-            {activeList.length === 0
-              ? emptyText
-              : activeList.map((fn) => {
-                  const methodStorageKey = buildMethodStorageKey(activeTab, fn);
-                  return (
-                    <MethodCard
-                      key={methodStorageKey}
-                      fn={fn}
-                      kind={activeTab}
+          {isMethodTab && proxyInfo && (
+            <div className="contract-meta">
+              <span>{PROXY_KIND_LABELS[proxyInfo.kind] || "代理合约"}</span>
+              {proxyInfo.beacon && <span>Beacon：{proxyInfo.beacon}</span>}
+              <span>实现合约：{proxyInfo.implementation}</span>
+            </div>
+          )}
+
+          {isMethodTab && contractSummary && (
+            <ContractSummaryCard summary={contractSummary} explorerBase={explorerBase} />
+          )}
+
+          {isMethodTab && diamondFacets && (
+            <div className="contract-meta">
+              <span>EIP-2535 Diamond</span>
+              <span>{diamondFacets.length} 个 facet</span>
+            </div>
+          )}
+
+          {activeTab === "write" && devNode && (
+            <label className="field">
+              <span>
+                模拟发送地址（检测到 {devNode.mode} 节点，留空则使用
+                {devSigner ? "开发签名器" : "钱包"}）
+              </span>
+              <input
+                type="text"
+                value={impersonatedSender}
+                placeholder="0x...（例如多签或管理员地址）"
+                onChange={(event) => setImpersonatedSender(event.target.value)}
+              />
+            </label>
+          )}
+
+          {isMethodTab && (
+            <div className={`method-list ${activeList.length ? "" : "empty"}`}>
+              {activeList.length === 0
+                ? emptyText
+                : activeGroups
+                ? activeGroups.map((group) => (
+                    <div className="facet-group" key={group.key}>
+                      <div className="facet-header">
+                        <span>{group.label}</span>
+                        {group.address && <span className="method-meta">{group.address}</span>}
+                        <span className="pill">{group.entries.length}</span>
+                      </div>
+                      {group.entries.map(renderMethodCard)}
+                    </div>
+                  ))
+                : activeList.map(renderMethodCard)}
+            </div>
+          )}
+
+          {activeTab === "history" && (
+            <TxHistoryPanel
+              records={txHistory}
+              templates={templates}
+              activeTemplateId={activeTemplateId}
+              explorerBase={explorerBase}
+              onRerun={handleRerunTx}
+              onExport={handleExportTxHistory}
+              onClear={handleClearTxHistory}
+            />
+          )}
+
+          {activeTab === "safe" && (
+            <SafeQueuePanel
+              calls={safeQueue}
+              chainId={parsedChainId}
+              onRemove={handleRemoveSafeCall}
+              onClear={() => setSafeQueue([])}
+            />
+          )}
+
+          {activeTab === "batch" && (
+            <BatchQueuePanel
+              calls={batchQueue}
+              explorerBase={explorerBase}
+              hasTemplate={Boolean(activeTemplate)}
+              onSend={sendBatchCalls}
+              onRemove={handleRemoveBatchCall}
+              onClear={() => persistBatchQueue([])}
+            />
+          )}
+
+          {activeTab === "storage" && (
+            <StorageInspectorPanel
+              key={`${selectedRpc}:${contractAddress}`}
+              onReadSlot={readStorageSlot}
+            />
+          )}
+
+          {activeTab === "code" &&
+            (isAddress(contractAddress) ? (
+              <CodeViewerPanel
+                key={`${selectedRpc}:${contractAddress}:${proxyInfo?.implementation || ""}`}
+                targets={[
+                  { label: "当前合约", address: contractAddress },
+                  ...(proxyInfo ? [{ label: "实现合约", address: proxyInfo.implementation }] : []),
+                ]}
+                abiFunctions={abiFunctions}
+                isDiamond={Boolean(diamondFacets)}
+                onGetCode={getContractCode}
+              />
+            ) : (
+              <div className="log-empty">请先填写正确的合约地址。</div>
+            ))}
+
+          {activeTab === "nft" && nftUriFn && (
+            <NftViewerPanel
+              key={contractAddress}
+              uriFunctionName={nftUriFn.name}
+              onReadTokenUri={(tokenId) => callReadWithFallback(nftUriFn, [tokenId])}
+            />
+          )}
+
+          {activeTab === "approvals" && approvalKind && (
+            <ApprovalManagerPanel
+              key={contractAddress}
+              kind={approvalKind}
+              owner={signerAddress || ""}
+              contractAddress={contractAddress}
+              targetChainId={parsedChainId}
+              walletChainId={isConnected && !signerNotice ? walletChainId : null}
+              signerNotice={signerNotice}
+              explorerBase={explorerBase}
+              errorAbi={abiErrors}
+              onQueryLogs={queryEventLogs}
+              onGetDeploymentBlock={() => findDeploymentBlock(contractAddress)}
+              onRead={callReadWithFallback}
+              onSimulate={simulateWrite}
+              onWrite={(fn, args) => handleWrite(fn, args, "")}
+            />
+          )}
+
+          {activeTab === "roles" && roleInfo && (
+            <RoleExplorerPanel
+              key={contractAddress}
+              roleGetters={roleInfo.getters}
+              account={signerAddress || ""}
+              contractAddress={contractAddress}
+              targetChainId={parsedChainId}
+              walletChainId={isConnected && !signerNotice ? walletChainId : null}
+              signerNotice={signerNotice}
+              explorerBase={explorerBase}
+              errorAbi={abiErrors}
+              onQueryLogs={queryEventLogs}
+              onGetDeploymentBlock={() => findDeploymentBlock(contractAddress)}
+              onRead={callReadWithFallback}
+              onSimulate={simulateWrite}
+              onWrite={(fn, args) => handleWrite(fn, args, "")}
+            />
+          )}
+
+          {activeTab === "devchain" && testClient && (
+            <DevChainPanel
+              testClient={testClient}
+              devNode={devNode}
+              defaultAddress={isAddress(contractAddress) ? contractAddress : ""}
+            />
+          )}
+
+          {activeTab === "broadcast" && (
+            <RawTxBroadcastPanel explorerBase={explorerBase} onBroadcast={broadcastRawTransaction} />
+          )}
+
+          {abiEvents.length > 0 && (
+            <div hidden={activeTab !== "events"}>
+              <EventWatchPanel
+                key={`${selectedRpc}:${abiEvents.map(getAbiItemKey).join("|")}`}
+                events={abiEvents}
+                contractAddress={contractAddress}
+                explorerBase={explorerBase}
+                transportLabel={isWebSocketRpc(selectedRpc) ? "WebSocket 订阅" : "HTTP 轮询"}
+                onWatch={watchEventLogs}
+                onGetBlockNumber={getLatestBlockNumber}
+                onInterrupted={(watchAddress) =>
+                  updateStatus(
+                    `RPC 或合约 ABI 已切换，${watchAddress} 的事件监听已停止。`,
+                    "error"
+                  )
+                }
+              />
+            </div>
+          )}
+
+          {activeTab === "events" && (
+            <div className={`method-list ${abiEvents.length ? "" : "empty"}`}>
+              {abiEvents.length === 0
+                ? "加载合约后，这里会展示 ABI 中的事件。"
+                : abiEvents.map((event) => (
+                    <EventCard
+                      key={getAbiItemKey(event)}
+                      abiEvent={event}
                       explorerBase={explorerBase}
-                      onRead={callReadWithFallback}
-                      onWrite={handleWrite}
-                      onPersist={handlePersistMethodState}
-                      methodStorageKey={methodStorageKey}
-                      savedCallState={methodDrafts[methodStorageKey]}
+                      onQueryLogs={queryEventLogs}
                     />
-                  );
-                })}
-          </div>
+                  ))}
+            </div>
+          )}
         </section>
       </main>
 